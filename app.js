@@ -1,2 +1,20 @@
 'use strict';
-module.exports = require('hyperswitch');
+
+const HyperSwitch = require('hyperswitch');
+const closeHooks = require('./lib/close_hooks');
+
+/**
+ * Starts the HyperSwitch server. service-runner waits for the promise returned
+ * by the `close` of the service, so the worker doesn't exit until the close hooks
+ * of the modules, like the drain of the Kafka subscriptions, are done.
+ *
+ * @param {Object} options the service options passed by service-runner
+ * @return {Promise<Object>} the service
+ */
+module.exports = options => HyperSwitch(options)
+.then(server => server && {
+    close: () => {
+        server.close();
+        return closeHooks.run();
+    }
+});
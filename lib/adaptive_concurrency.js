@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * The default options of the adaptive concurrency
+ *
+ * @const
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+    min: 1,
+    max: 100,
+    latency_threshold: 1000,
+    error_threshold: 0.05,
+    increase: 1,
+    decrease_factor: 0.5,
+    interval: 5000
+};
+
+/**
+ * Adjusts the concurrency of a rule based on the latency and the error rate
+ * of the executions: the concurrency is raised additively while they are healthy
+ * and cut multiplicatively when they degrade.
+ */
+class AdaptiveConcurrency {
+    /**
+     * @param {Object} options
+     * @param {number} [options.min] the minimum concurrency
+     * @param {number} [options.max] the maximum concurrency
+     * @param {number} [options.latency_threshold] the maximum healthy average latency in ms
+     * @param {number} [options.error_threshold] the maximum healthy share of 5xx responses
+     * @param {number} [options.increase] how much to raise the concurrency by
+     * @param {number} [options.decrease_factor] what to multiply the concurrency by when
+     *                 the executions are not healthy
+     * @param {number} [options.interval] how often to adjust the concurrency in ms
+     * @param {number} initial the initial concurrency
+     */
+    constructor(options, initial) {
+        this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+        if (this._options.min < 1 || this._options.min > this._options.max) {
+            throw new Error('Adaptive concurrency requires 1 <= min <= max');
+        }
+        if (this._options.decrease_factor <= 0 || this._options.decrease_factor >= 1) {
+            throw new Error('Adaptive concurrency decrease_factor must be between 0 and 1');
+        }
+        this.limit = this._clamp(initial);
+        this._reset();
+    }
+
+    /**
+     * How often to adjust the concurrency in ms
+     *
+     * @return {number}
+     */
+    get interval() {
+        return this._options.interval;
+    }
+
+    _clamp(value) {
+        return Math.min(this._options.max, Math.max(this._options.min, Math.round(value)));
+    }
+
+    _reset() {
+        this._count = 0;
+        this._errors = 0;
+        this._totalLatency = 0;
+        this._saturated = false;
+    }
+
+    /**
+     * Records the outcome of an execution
+     *
+     * @param {number} latency the execution time in ms
+     * @param {number} [status] the response status
+     */
+    record(latency, status) {
+        this._count++;
+        this._totalLatency += latency;
+        if (!status || status >= 500) {
+            this._errors++;
+        }
+    }
+
+    /**
+     * Notes that the concurrency limit was reached, so raising it could help
+     */
+    markSaturated() {
+        this._saturated = true;
+    }
+
+    /**
+     * Adjusts the concurrency based on the executions recorded since the last adjustment.
+     * The concurrency is only raised if the limit was reached meanwhile.
+     *
+     * @return {number} the new concurrency
+     */
+    adjust() {
+        if (this._count) {
+            const healthy = this._totalLatency / this._count <= this._options.latency_threshold &&
+                this._errors / this._count <= this._options.error_threshold;
+            if (!healthy) {
+                this.limit = this._clamp(Math.floor(this.limit * this._options.decrease_factor));
+            } else if (this._saturated) {
+                this.limit = this._clamp(this.limit + this._options.increase);
+            }
+        }
+        this._reset();
+        return this.limit;
+    }
+}
+
+module.exports = AdaptiveConcurrency;
@@ -4,9 +4,13 @@ const P = require('bluebird');
 const uuidv1 = require('uuid').v1;
 const HTTPError = require('hyperswitch').HTTPError;
 const URI = require('hyperswitch').URI;
+const Template = require('hyperswitch').Template;
 const kafka = require('node-rdkafka');
 
 const utils = require('./utils');
+const AdaptiveConcurrency = require('./adaptive_concurrency');
+const CircuitBreaker = require('./circuit_breaker');
+const DelayQueue = require('./delay_queue');
 
 /**
  * The default number of tasks that could be run concurrently
@@ -59,6 +63,61 @@ const DEFAULT_CONSUMER_BATCH_SIZE = 1;
  */
 const DEFAULT_MINIMUM_RE_ENQUEUE_DELAY = 20;
 
+/**
+ * The timeout for querying offsets and watermarks for the status report.
+ * Measured in milliseconds
+ *
+ * @const
+ * @type {number}
+ */
+const STATUS_QUERY_TIMEOUT = 2000;
+
+/**
+ * The default share of the concurrency the number of messages in flight must drop to
+ * before the partitions paused because of the backpressure are resumed.
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_LOW_WATER_MARK_RATIO = 0.5;
+
+/**
+ * How often to check whether the messages in flight finished while draining.
+ * Measured in milliseconds
+ *
+ * @const
+ * @type {number}
+ */
+const DRAIN_CHECK_INTERVAL = 100;
+
+/**
+ * The modes of the retry streams: the retry streams shared by all the rules consuming a topic,
+ * the retry streams dedicated to the rule, and the migration from the shared streams to
+ * the dedicated ones, producing to the dedicated streams while consuming both.
+ *
+ * @const
+ * @type {Array}
+ */
+const RETRY_STREAM_MODES = [ 'shared', 'dedicated', 'migrating' ];
+
+/**
+ * The maximum length of the final response body carried by the dead-letter events,
+ * so that the events stay within the Kafka message size limit
+ *
+ * @const
+ * @type {number}
+ */
+const MAX_DEAD_LETTER_BODY_LENGTH = 10000;
+
+/**
+ * The cap of the delay requested by the Retry-After header when the retry schedule
+ * has no max_delay, since the retries are held in memory until they are due
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_MAX_RETRY_AFTER = 600000;
+
 class BaseExecutor {
 
     /**
@@ -68,9 +127,14 @@ class BaseExecutor {
      * @param {KafkaFactory} kafkaFactory
      * @param {Object} hyper
      * @param {Object} options
+     * @param {Object} [shared] the state shared by the executors of the rule
+     *                 within the subscription
+     * @param {RetryBudget} [shared.retryBudget] the retry budget of the rule
+     * @param {Map} [shared.circuitBreakers] the circuit breakers of the rule, keyed by the target
+     * @param {Object} [shared.keyWaiting] the count of the events of the rule waiting for their key
      * @class
      */
-    constructor(rule, kafkaFactory, hyper, options) {
+    constructor(rule, kafkaFactory, hyper, options, shared = {}) {
         if (this.constructor.name === 'BaseExecutor') {
             throw new Error('BaseService is abstract. Create Master or Worker instance.');
         }
@@ -84,6 +148,14 @@ class BaseExecutor {
         });
         this.options = options;
         this.concurrency = rule.spec.concurrency || this.options.concurrency || DEFAULT_CONCURRENCY;
+        this._lowWaterMarkRatio = rule.spec.low_water_mark_ratio ||
+            this.options.low_water_mark_ratio ||
+            DEFAULT_LOW_WATER_MARK_RATIO;
+        if (rule.spec.adaptive_concurrency) {
+            this._adaptiveConcurrency = new AdaptiveConcurrency(
+                rule.spec.adaptive_concurrency, this.concurrency);
+            this.concurrency = this._adaptiveConcurrency.limit;
+        }
         this.consumerBatchSize = rule.spec.consumer_batch_size ||
             this.options.consumer_batch_size ||
             DEFAULT_CONSUMER_BATCH_SIZE;
@@ -94,14 +166,38 @@ class BaseExecutor {
             this.options.disable_delayed_execution ||
             false;
         this.disable_blacklist = rule.spec.disable_blacklist || this.options.disable_blacklist;
+        this.dead_letter = rule.spec.dead_letter === undefined ?
+            !!this.options.dead_letter : !!rule.spec.dead_letter;
         this.disable_ratelimit = rule.spec.disable_ratelimit || this.options.disable_ratelimit;
+        this.retry_stream = rule.spec.retry_stream || this.options.retry_stream || 'shared';
+        if (!RETRY_STREAM_MODES.includes(this.retry_stream)) {
+            throw new Error(`Invalid retry_stream ${this.retry_stream} for rule ${rule.name}`);
+        }
+        this._retryBudget = shared.retryBudget;
+        this._circuitBreakers = shared.circuitBreakers || new Map();
+        this._keyWaiting = shared.keyWaiting || { count: 0 };
+        this._circuitBreakerOptions = rule.spec.circuit_breaker === undefined ?
+            this.options.circuit_breaker : rule.spec.circuit_breaker;
+        if (this._circuitBreakerOptions && this._circuitBreakerOptions.key) {
+            this._circuitBreakerKey = new Template(this._circuitBreakerOptions.key);
+        }
         this.blacklist = BaseExecutor._compileBlacklist(
             rule.spec.blacklist || this.options.blacklist || {}
         );
 
         this._commitTimeout = null;
         this._pendingMsgs = new Set();
+        // Finished, but not yet committed messages, keyed by topic and partition
         this._pendingCommits = new Map();
+        // Last committed offsets, keyed by topic and partition
+        this._committedOffsets = new Map();
+        // Partitions revoked from this consumer and not assigned back yet
+        this._revokedPartitions = new Set();
+        // The last message processing scheduled for every ordering key
+        this._orderedChains = new Map();
+        // The running and waiting executions for every key of max_concurrency_per_key
+        this._keySlots = new Map();
+        this._keyWaitingCount = 0;
         this._selfCheck = setInterval(() => {
             for (const message of this._pendingMsgs.entries()) {
                 // If pending message is older than 1 minute then log error
@@ -125,21 +221,65 @@ class BaseExecutor {
                     }
                 });
             }
+            this._reportCommitGaps();
         }, 60000);
         this._consuming = false;
         this._connected = false;
+        this._paused = false;
+        // Whether the assigned partitions are paused, either because the executor
+        // is saturated or because the rule was paused.
+        this._partitionsPaused = false;
+        this._draining = false;
+        // The number of pending messages waiting for their retry delay. The drain
+        // doesn't wait for them, they are consumed again after the restart.
+        this._delayedMsgCount = 0;
+        this._lastConsumedTimestamp = undefined;
     }
 
-    subscribe() {
+    /**
+     * The number of messages in flight to resume the partitions paused
+     * because of the backpressure at.
+     *
+     * @return {number}
+     */
+    get lowWaterMark() {
+        return Math.floor(this.concurrency * this._lowWaterMarkRatio);
+    }
+
+    /**
+     * Returns the consumer group ID used by this executor
+     *
+     * @return {string}
+     */
+    get consumerGroup() {
         const prefix = this.options.test_mode ? `test-${this._hyper.config.service_name}` : `${this._hyper.config.service_name}`;
+        return `${prefix}-${this.rule.name}`;
+    }
+
+    /**
+     * Returns the prefix of the metrics reported for the executor as a whole, distinct
+     * for every kind of the executors of the rule
+     *
+     * @return {string}
+     */
+    get executorStatName() {
+        return this._hyper.metrics.normalizeName(this.rule.name);
+    }
+
+    subscribe() {
         return this.kafkaFactory.createConsumer(
-            `${prefix}-${this.rule.name}`,
+            this.consumerGroup,
             this.subscribeTopics,
             this._hyper.metrics
         )
         .then((consumer) => {
             this._connected = true;
             this.consumer = consumer;
+            consumer.on('rebalance', (err, assignment) => this._onRebalance(err, assignment));
+            if (this._adaptiveConcurrency) {
+                this._adaptiveCheck = setInterval(() => this._adjustConcurrency(),
+                    this._adaptiveConcurrency.interval);
+            }
             P.delay(this.kafkaFactory.startup_delay).then(() => this._consume());
         });
     }
@@ -149,19 +289,54 @@ class BaseExecutor {
             return JSON.parse(payload);
         } catch (e) {
             this._logger.log('error/parse', e);
-            this._hyper.post({
-                uri: new URI('/sys/queue/events'),
-                body: [ this._constructErrorMessage(e, payload) ]
-            });
+            this._produceEvents([ this._constructErrorMessage(e, payload) ]);
         }
     }
 
+    /**
+     * Posts events to the queue, logging the ones that failed to be produced.
+     *
+     * @param {Array|Object} body the events or the produce request body
+     * @return {Promise}
+     * @private
+     */
+    _produceEvents(body) {
+        return this._hyper.post({
+            uri: new URI('/sys/queue/events'),
+            body
+        })
+        .tap((res) => {
+            if (res.status !== 207) {
+                return;
+            }
+            res.body.items.forEach((item, index) => {
+                if (item.status >= 400) {
+                    const events = Array.isArray(body) ? body : body.events;
+                    this._logger.log('error/produce', {
+                        message: 'Failed to produce an event',
+                        event_str: utils.stringify(events[index]),
+                        topic: item.topic,
+                        description: item.error
+                    });
+                }
+            });
+        });
+    }
+
     _consume() {
         if (!this._connected) {
             return;
         }
 
+        if (this._draining) {
+            this._consuming = false;
+            return;
+        }
+
+        // The loop keeps polling even if the partitions are paused,
+        // so that the rebalances are served and the consumer stays in the group.
         this._consuming = true;
+        this._applyBackpressure();
         this.consumer.consumeAsync(this.consumerBatchSize)
         .then((messages) => {
             if (!messages.length) {
@@ -169,7 +344,13 @@ class BaseExecutor {
                 return P.delay(100);
             }
 
+            this._lastConsumedTimestamp = Date.now();
             messages.forEach((msg) => {
+                if (!this._shouldConsume(msg) ||
+                        this._revokedPartitions.has(BaseExecutor._partitionKey(msg))) {
+                    return;
+                }
+                this._trackPartition(msg);
                 const message = this._safeParse(msg.value.toString('utf8'));
 
                 if (!message || !message.meta) {
@@ -195,13 +376,7 @@ class BaseExecutor {
                     // Note: we don't return the promise here since we wanna process messages
                     // asynchronously from consuming them to be able to fill up the pendingMsg
                     // queue and achieve the level of concurrency we want.
-                    this.processMessage(message, handler)
-                    .finally(() => {
-                        this._notifyFinished(msg);
-                        if (this._pendingMsgs.size < this.concurrency && !this._consuming) {
-                            this._consume();
-                        }
-                    });
+                    this._schedule(msg, message, handler);
                 } else if (Math.random() < NO_MATCH_COMMIT_PROBABILITY) {
                     // Again, do not return the promise as the commit can be done async
                     this._notifyFinished(msg);
@@ -234,15 +409,301 @@ class BaseExecutor {
             }
             /* eslint-enable indent */
         })
+        .finally(() => this._consume());
+    }
+
+    /**
+     * Returns the key of the events that must be processed one at a time in offset order.
+     *
+     * @param {Object} message the message to get the key for
+     * @return {string|null} the key or null if the message could be processed right away
+     */
+    orderingKey(message) {
+        return this.rule.getOrderingKey(message);
+    }
+
+    /**
+     * Expands a key of the message, logging the failures.
+     *
+     * @param {string} type the rule option the key is configured with
+     * @param {Function} expand the function returning the key
+     * @param {Object} message the message to get the key for
+     * @return {string|undefined} the key or undefined if there's none
+     * @private
+     */
+    _expandKey(type, expand, message) {
+        try {
+            const key = expand();
+            return key === null || key === undefined ? undefined : `${key}`;
+        } catch (e) {
+            this._logger.log('error/expand_key', {
+                message: `Failed to expand the ${type} key, ignoring it`,
+                event_str: utils.stringify(message),
+                description: `${e}`
+            });
+        }
+    }
+
+    /**
+     * Runs the operation once less than max_concurrency_per_key operations
+     * for the same key are running.
+     *
+     * @param {Object} event the event being executed
+     * @param {Function} operation the function to run
+     * @return {Promise}
+     * @private
+     */
+    _withConcurrencyLimit(event, operation) {
+        const key = this._expandKey('max_concurrency_per_key',
+            () => this.rule.getConcurrencyKey(event), event);
+        if (key === undefined) {
+            return P.try(operation);
+        }
+        let slots = this._keySlots.get(key);
+        if (!slots) {
+            slots = { running: 0, waiting: [] };
+            this._keySlots.set(key, slots);
+        }
+        let acquired;
+        if (slots.running < this.rule.getConcurrencyLimit(key)) {
+            slots.running++;
+            acquired = P.resolve();
+        } else {
+            acquired = new P((resolve) => {
+                slots.waiting.push(resolve);
+                this._keyWaitingCount++;
+                this._keyWaiting.count++;
+                this._reportKeyWaiting();
+            });
+        }
+        return acquired.then(operation)
         .finally(() => {
-            if (this._pendingMsgs.size < this.concurrency) {
-                this._consume();
+            const next = slots.waiting.shift();
+            if (next) {
+                // Hand the slot over to the next waiting message
+                this._keyWaitingCount--;
+                this._keyWaiting.count--;
+                this._reportKeyWaiting();
+                next();
             } else {
-                this._consuming = false;
+                slots.running--;
+                if (!slots.running) {
+                    this._keySlots.delete(key);
+                }
             }
         });
     }
 
+    /**
+     * Reports the number of the events waiting for their key. It's aggregated per rule,
+     * since the keys are unbounded, so it sums up the counts of all the executors of the rule.
+     *
+     * @private
+     */
+    _reportKeyWaiting() {
+        this._hyper.metrics.gauge(
+            `${this._hyper.metrics.normalizeName(this.rule.name)}_key_waiting`,
+            this._keyWaiting.count);
+    }
+
+    /**
+     * Processes the message, waiting for the previous messages with the same
+     * ordering key to finish first. The waiting messages stay pending,
+     * so the offsets past them are not committed until they are processed.
+     *
+     * @param {Object} msg the raw kafka message
+     * @param {Object} message the parsed message
+     * @param {Object} handler the handler to process the message with
+     * @private
+     */
+    _schedule(msg, message, handler) {
+        const run = () => P.try(() => {
+            if (msg.revoked) {
+                // The new owner of the partition will process the message
+                return;
+            }
+            return this.processMessage(message, handler, utils.fromKafkaHeaders(msg.headers));
+        })
+        .finally(() => {
+            this._notifyFinished(msg);
+            this._applyBackpressure();
+        });
+
+        const key = this._expandKey('ordering_key', () => this.orderingKey(message), message);
+        if (key === undefined) {
+            run();
+            return;
+        }
+        const previous = this._orderedChains.get(key);
+        const current = (previous ? previous.then(run) : P.try(run))
+        .catch(() => {
+            // The errors are handled by processMessage
+        });
+        this._orderedChains.set(key, current);
+        current.then(() => {
+            if (this._orderedChains.get(key) === current) {
+                this._orderedChains.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Returns the circuit breaker guarding the target of the request
+     *
+     * @param {Object} request the request to send
+     * @param {Object} expander the expander containing the message and match
+     * @return {CircuitBreaker|undefined}
+     * @private
+     */
+    _getCircuitBreaker(request, expander) {
+        if (!this._circuitBreakerOptions) {
+            return;
+        }
+        let key;
+        if (this._circuitBreakerKey) {
+            key = this._circuitBreakerKey.expand(expander);
+        } else {
+            try {
+                key = new URL(`${request.uri}`).host;
+            } catch (e) {
+                // Relative URIs of the internal modules are not guarded
+                return;
+            }
+        }
+        if (!key) {
+            return;
+        }
+        key = `${key}`;
+        if (!this._circuitBreakers.has(key)) {
+            this._circuitBreakers.set(key, new CircuitBreaker(this.rule.name, key,
+                this._circuitBreakerOptions, this._hyper.logger, this._hyper.metrics));
+        }
+        return this._circuitBreakers.get(key);
+    }
+
+    /**
+     * Sends the request once the circuit breaker of the target lets it through.
+     * The 5xx responses and network errors count as failures of the target.
+     *
+     * @param {Object} request the request to send
+     * @param {Object} expander the expander containing the message and match
+     * @param {Function} countHeld called with the time the request was held by the breaker, ms
+     * @param {Function} onSend called right before the request is sent
+     * @return {Promise}
+     * @private
+     */
+    _requestThroughBreaker(request, expander, countHeld, onSend) {
+        const breaker = this._getCircuitBreaker(request, expander);
+        if (!breaker) {
+            onSend();
+            return this._hyper.request(request);
+        }
+        const heldSince = Date.now();
+        return breaker.acquire()
+        .tap(() => countHeld(Date.now() - heldSince))
+        .tap(onSend)
+        .then(isProbe => this._hyper.request(request)
+            .tap(() => breaker.record(isProbe, false))
+            .tapCatch(e => breaker.record(isProbe, !e.status || e.status >= 500)));
+    }
+
+    /**
+     * Records the execution outcome for the adaptive concurrency
+     *
+     * @param {number} startTime the execution start timestamp
+     * @param {number} [status] the response status
+     * @private
+     */
+    _recordExec(startTime, status) {
+        if (this._adaptiveConcurrency) {
+            this._adaptiveConcurrency.record(Date.now() - startTime, status);
+        }
+    }
+
+    /**
+     * Applies the concurrency computed by the adaptive concurrency
+     * and reports it as a metric.
+     *
+     * @private
+     */
+    _adjustConcurrency() {
+        const concurrency = this._adaptiveConcurrency.adjust();
+        if (concurrency !== this.concurrency) {
+            this._logger.log('debug/concurrency', {
+                message: 'Adjusted the concurrency',
+                from: this.concurrency,
+                to: concurrency
+            });
+            this.concurrency = concurrency;
+            this._applyBackpressure();
+        }
+        this._hyper.metrics.gauge(`${this.executorStatName}_concurrency`, concurrency);
+    }
+
+    /**
+     * Returns the partitions to resume once the backpressure is released.
+     *
+     * @return {Array}
+     * @protected
+     */
+    _resumablePartitions() {
+        return this.consumer.assignments();
+    }
+
+    /**
+     * Pauses all the assigned partitions when the executor is saturated or the rule is paused,
+     * and resumes them once the number of messages in flight drops to the low-water mark.
+     *
+     * @private
+     */
+    _applyBackpressure() {
+        if (!this._connected) {
+            return;
+        }
+        // The messages waiting for a max_concurrency_per_key slot don't count against
+        // the concurrency, so that the other keys could still be processed,
+        // but the number of waiting messages is bounded by the concurrency too.
+        const running = this._pendingMsgs.size - this._keyWaitingCount;
+        const buffered = Math.max(running, this._keyWaitingCount);
+        try {
+            if (this._adaptiveConcurrency && running >= this.concurrency) {
+                this._adaptiveConcurrency.markSaturated();
+            }
+            if (this._paused || buffered >= this.concurrency) {
+                // Pause the current assignment every time, since the partitions
+                // assigned on rebalance are not paused.
+                this.consumer.pause(this.consumer.assignments());
+                if (!this._partitionsPaused) {
+                    this._partitionsPaused = true;
+                    this._hyper.metrics.increment(
+                        `${this._hyper.metrics.normalizeName(this.rule.name)}_partitions_paused`);
+                }
+            } else if (this._partitionsPaused && buffered <= this.lowWaterMark) {
+                this.consumer.resume(this._resumablePartitions());
+                this._partitionsPaused = false;
+                this._hyper.metrics.increment(
+                    `${this._hyper.metrics.normalizeName(this.rule.name)}_partitions_resumed`);
+            }
+        } catch (e) {
+            this._logger.log('error/backpressure', {
+                message: 'Failed to pause or resume the partitions',
+                description: `${e}`
+            });
+        }
+    }
+
+    /**
+     * Checks whether a raw message should be processed at all.
+     * Subclasses could override it to skip messages before they are parsed.
+     *
+     * @param {Object} msg a raw kafka message
+     * @return {boolean}
+     * @protected
+     */
+    _shouldConsume(msg) {
+        return true;
+    }
+
     /**
      * Checks whether a message should be rate-limited
      *
@@ -279,18 +740,79 @@ class BaseExecutor {
         });
     }
 
-    _updateLimiters(expander, status) {
+    /**
+     * Returns the weight to increment the limiter of the type by after an execution.
+     * The limiters with a cost function are incremented by the cost of every execution,
+     * the rest are incremented by 1 for the failed executions only.
+     *
+     * @param {string} type the limiter type
+     * @param {Object} expander the expander containing the message and match
+     * @param {number} status the execution status
+     * @param {Object} stats the execution stats with duration and size properties
+     * @return {number} the weight, 0 if the limiter should not be incremented
+     * @private
+     */
+    _limiterWeight(type, expander, status, stats) {
+        let cost;
+        try {
+            cost = this.rule.getLimiterCost(type, expander, stats);
+        } catch (e) {
+            cost = NaN;
+        }
+        if (cost === null) {
+            return status >= 500 ? 1 : 0;
+        }
+        if (typeof cost !== 'number' || isNaN(cost)) {
+            this._logger.log('error/ratelimit', () => ({
+                message: 'Failed to compute the limiter cost, using 1',
+                limiter: type,
+                event_str: utils.stringify(expander.message)
+            }));
+            return 1;
+        }
+        // The free executions don't count against the limiter
+        return cost > 0 ? Math.ceil(cost) : 0;
+    }
+
+    /**
+     * Handles a rate-limited event according to the on_rate_limit policy of the rule:
+     * drops it, or sends it to the retry stream of the rule keeping the number of retries
+     * left, to be executed after the `delay` of the policy or after the retry delay.
+     *
+     * @param {Object} event the rate-limited event
+     * @param {Object} [retryEvent] the retry message if the event is being retried
+     * @param {Object} [messageHeaders] the Kafka headers of the message
+     * @return {Promise}
+     * @private
+     */
+    _deferRateLimited(event, retryEvent, messageHeaders) {
+        const policy = this.rule.spec.on_rate_limit;
+        this._hyper.metrics.increment(`${this.statName(event)}_ratelimit_${policy.policy}`);
+        if (policy.policy === 'drop') {
+            return P.resolve({ status: 200 });
+        }
+        const retryMessage = this._constructRetryMessage(event, {
+            status: 429,
+            body: { message: 'Rate-limited' }
+        }, retryEvent && retryEvent.retries_left, retryEvent);
+        if (policy.policy === 'delay') {
+            retryMessage.retry_delay = policy.delay;
+        }
+        return this._produceRetry(retryMessage, messageHeaders);
+    }
+
+    _updateLimiters(expander, status, stats) {
         if (this.disable_ratelimit || !this.rule.getRateLimiterTypes().length) {
             // No limiters configured, don't care.
             return;
         }
         return P.each(this.rule.getRateLimiterTypes(), (type) => {
-            // TODO: calculate the cost function and actually POST the cost!
-
-            if (status >= 500) {
+            const weight = this._limiterWeight(type, expander, status, stats);
+            if (weight) {
                 const limiterKey = this.rule.getLimiterKey(type, expander);
                 return this._hyper.post({
-                    uri: new URI(`/sys/limit/${type}/${limiterKey}`)
+                    uri: new URI(`/sys/limit/${type}/${limiterKey}`),
+                    body: { weight }
                 }).catch({ status: 429 }, () => {
                     // No need to react here, we'll reject the next message
                 }).catch({ status: 404 }, () => {
@@ -300,13 +822,115 @@ class BaseExecutor {
         });
     }
 
+    /**
+     * Returns the size of the response body in bytes
+     *
+     * @param {Object} res the response or the error
+     * @return {number}
+     * @private
+     */
+    static _responseSize(res) {
+        if (!res) {
+            return 0;
+        }
+        const contentLength = res.headers && parseInt(res.headers['content-length'], 10);
+        if (contentLength >= 0) {
+            return contentLength;
+        }
+        if (res.body === undefined || res.body === null) {
+            return 0;
+        }
+        if (Buffer.isBuffer(res.body) || typeof res.body === 'string') {
+            return Buffer.byteLength(res.body);
+        }
+        return Buffer.byteLength(JSON.stringify(res.body));
+    }
+
+    /**
+     * Returns the key used to track the offsets of a single topic partition.
+     *
+     * @param {Object} msg a raw kafka message
+     * @return {string}
+     * @private
+     */
+    static _partitionKey(msg) {
+        return `${msg.topic}/${msg.partition}`;
+    }
+
+    _partitionStatName(msg) {
+        return this._hyper.metrics.normalizeName(
+            `${this.rule.name}-${msg.topic.replace(/\./g, '_')}-${msg.partition}`);
+    }
+
+    /**
+     * Remembers the first offset seen for a partition as a baseline for
+     * the commit gap metric until the first commit for that partition is made.
+     *
+     * @param {Object} msg a raw kafka message
+     * @private
+     */
+    _trackPartition(msg) {
+        const partitionKey = BaseExecutor._partitionKey(msg);
+        if (!this._committedOffsets.has(partitionKey)) {
+            this._committedOffsets.set(partitionKey, {
+                topic: msg.topic,
+                partition: msg.partition,
+                offset: msg.offset - 1
+            });
+        }
+    }
+
+    /**
+     * Finds the lowest offset within a partition which is still being processed
+     * or is finished, but not yet committed.
+     *
+     * @param {string} partitionKey the partition key
+     * @param {boolean} [includeFinished] whether to consider finished uncommitted messages
+     * @return {number|undefined}
+     * @private
+     */
+    _lowestPendingOffset(partitionKey, includeFinished) {
+        let lowest;
+        const check = (msg) => {
+            if (BaseExecutor._partitionKey(msg) === partitionKey &&
+                    (lowest === undefined || msg.offset < lowest)) {
+                lowest = msg.offset;
+            }
+        };
+        this._pendingMsgs.forEach(check);
+        if (includeFinished && this._pendingCommits.has(partitionKey)) {
+            this._pendingCommits.get(partitionKey).forEach(check);
+        }
+        return lowest;
+    }
+
+    /**
+     * Reports the gap between the lowest pending offset and the last committed
+     * offset for every partition this executor has consumed from.
+     *
+     * @private
+     */
+    _reportCommitGaps() {
+        for (const [partitionKey, committed] of this._committedOffsets.entries()) {
+            const lowestPending = this._lowestPendingOffset(partitionKey, true);
+            const gap = lowestPending === undefined ? 0 :
+                Math.max(lowestPending - committed.offset, 0);
+            this._hyper.metrics.gauge(`${this._partitionStatName(committed)}_commit_gap`, gap);
+        }
+    }
+
     _notifyFinished(finishedMsg) {
         this._pendingMsgs.delete(finishedMsg);
+        if (finishedMsg.revoked) {
+            // The partition is owned by another consumer now, which will process the message again
+            return;
+        }
         finishedMsg.dequeue_timestamp = Date.now();
-        if (this._pendingCommits.has(finishedMsg.topic)) {
-            this._pendingCommits.get(finishedMsg.topic).push(finishedMsg);
+        const partitionKey = BaseExecutor._partitionKey(finishedMsg);
+        if (this._pendingCommits.has(partitionKey)) {
+            this._pendingCommits.get(partitionKey).push(finishedMsg);
         } else {
-            this._pendingCommits.set(finishedMsg.topic, [ finishedMsg ]);
+            this._pendingCommits.set(partitionKey, [ finishedMsg ]);
         }
         if (this.options.test_mode) {
             this._logger.log('trace/commit', 'Running in TEST MODE; Offset commits disabled');
@@ -315,50 +939,140 @@ class BaseExecutor {
 
         if (!this._commitTimeout) {
             this._commitTimeout = setTimeout(() => {
-                const stillHasPending = (proposedToCommit) => {
-                    for (const pendingMsg of this._pendingMsgs.entries()) {
-                        if (pendingMsg.topic === proposedToCommit.topic &&
-                                pendingMsg.offset <= proposedToCommit.offset) {
-                            return true;
-                        }
-                    }
-                    return false;
-                };
-                const toCommit = [];
                 this._commitTimeout = null;
                 if (!this._connected) {
                     return;
                 }
-                for (const [topic, commitQueue] of this._pendingCommits.entries()) {
-                    if (commitQueue.length) {
-                        let sortedCommitQueue = commitQueue.sort((msg1, msg2) =>
-                            msg1.offset - msg2.offset);
-                        let msgToCommit;
-                        while (sortedCommitQueue.length &&
-                                !stillHasPending(sortedCommitQueue[0])) {
-                            msgToCommit = sortedCommitQueue[0];
-                            sortedCommitQueue = sortedCommitQueue.slice(1);
-                        }
-                        if (msgToCommit) {
-                            toCommit.push(msgToCommit);
-                            this._pendingCommits.set(topic, sortedCommitQueue);
-                        }
+                return this._commitPending();
+            }, DEFAULT_COMMIT_INTERVAL);
+        }
+    }
+
+    /**
+     * Takes the highest finished message of every partition that has
+     * no messages still in flight below it out of the pending commits.
+     *
+     * @param {Array} partitionKeys the partitions to take the messages for
+     * @return {Array} the messages to commit
+     * @private
+     */
+    _takeCommittable(partitionKeys) {
+        const toCommit = [];
+        partitionKeys.forEach((partitionKey) => {
+            const commitQueue = this._pendingCommits.get(partitionKey);
+            if (commitQueue && commitQueue.length) {
+                const lowestPending = this._lowestPendingOffset(partitionKey);
+                const stillHasPending = proposedToCommit => lowestPending !== undefined &&
+                    lowestPending <= proposedToCommit.offset;
+                let sortedCommitQueue = commitQueue.sort((msg1, msg2) =>
+                    msg1.offset - msg2.offset);
+                let msgToCommit;
+                while (sortedCommitQueue.length &&
+                        !stillHasPending(sortedCommitQueue[0])) {
+                    msgToCommit = sortedCommitQueue[0];
+                    sortedCommitQueue = sortedCommitQueue.slice(1);
+                }
+                if (msgToCommit) {
+                    this._pendingCommits.set(partitionKey, sortedCommitQueue);
+                    const committed = this._committedOffsets.get(partitionKey);
+                    // Never move the committed offset backwards, that would
+                    // happen if a failed commit was re-queued after a later success.
+                    if (!committed || committed.offset < msgToCommit.offset) {
+                        toCommit.push(msgToCommit);
                     }
                 }
-                return P.all(toCommit.map(message => this.consumer.commitMessageAsync(message)
-                    .catch((e) => {
-                        // Add the message back to pending commits to re-try commit on next pass
-                        this._pendingCommits.get(message.topic).push(message);
+            }
+        });
+        return toCommit;
+    }
+
+    /**
+     * Commits the highest finished offset of every partition that has
+     * no messages still in flight below it.
+     *
+     * @return {Promise}
+     * @private
+     */
+    _commitPending() {
+        const toCommit = this._takeCommittable(Array.from(this._pendingCommits.keys()));
+        return P.all(toCommit.map(message => this.consumer.commitMessageAsync(message)
+            .then(() => {
+                const partitionKey = BaseExecutor._partitionKey(message);
+                const committed = this._committedOffsets.get(partitionKey);
+                if (!committed || committed.offset < message.offset) {
+                    this._committedOffsets.set(partitionKey, {
+                        topic: message.topic,
+                        partition: message.partition,
+                        offset: message.offset
+                    });
+                }
+            })
+            .catch((e) => {
+                // Add the message back to pending commits to re-try commit on next pass,
+                // unless the partition was revoked meanwhile.
+                const commitQueue = this._pendingCommits.get(BaseExecutor._partitionKey(message));
+                if (commitQueue) {
+                    commitQueue.push(message);
+                }
+                this._logger.log('error/commit', () => ({
+                    message: 'Commit failed',
+                    topic: message.topic,
+                    partition: message.partition,
+                    offset: message.offset,
+                    raw_event: message.value.toString(),
+                    description: e.toString()
+                }));
+            })
+        ))
+        .finally(() => this._reportCommitGaps());
+    }
+
+    /**
+     * Handles the partition assignment changes. The finished offsets of the revoked
+     * partitions are committed synchronously, before the partitions are unassigned,
+     * and the messages still in flight won't be committed, since the new owner of
+     * the partition will process them again.
+     *
+     * @param {Error} err the rebalance event with the code telling the event type
+     * @param {Array} assignment the assigned or revoked partitions
+     * @private
+     */
+    _onRebalance(err, assignment) {
+        const partitionKeys = assignment.map(toppar => BaseExecutor._partitionKey(toppar));
+        if (err && err.code === kafka.CODES.ERRORS.ERR__REVOKE_PARTITIONS) {
+            if (this._connected && !this.options.test_mode) {
+                this._takeCommittable(partitionKeys).forEach((message) => {
+                    try {
+                        this.consumer.commitMessageSync(message);
+                    } catch (e) {
                         this._logger.log('error/commit', () => ({
-                            message: 'Commit failed',
+                            message: 'Commit on revoke failed',
+                            topic: message.topic,
+                            partition: message.partition,
                             offset: message.offset,
-                            raw_event: message.value.toString(),
                             description: e.toString()
                         }));
-                    })
-                ));
-            }, DEFAULT_COMMIT_INTERVAL);
+                    }
+                });
+            }
+            partitionKeys.forEach((partitionKey) => {
+                this._revokedPartitions.add(partitionKey);
+                this._pendingCommits.delete(partitionKey);
+                this._committedOffsets.delete(partitionKey);
+            });
+            this._pendingMsgs.forEach((msg) => {
+                if (this._revokedPartitions.has(BaseExecutor._partitionKey(msg))) {
+                    msg.revoked = true;
+                }
+            });
+        } else if (err && err.code === kafka.CODES.ERRORS.ERR__ASSIGN_PARTITIONS) {
+            partitionKeys.forEach(partitionKey => this._revokedPartitions.delete(partitionKey));
         }
+        this._logger.log('info/rebalance', {
+            message: 'Partition assignment changed',
+            event: err && err.message,
+            partitions: partitionKeys
+        });
     }
 
     /** Private methods */
@@ -418,12 +1132,11 @@ class BaseExecutor {
         return this.blacklist[event.meta.domain].test(decodeURIComponent(event.meta.uri));
     }
 
-    _exec(origEvent, handler, statDelayStartTime, retryEvent) {
-        const startTime = Date.now();
-
+    _exec(origEvent, handler, statDelayStartTime, retryEvent, messageHeaders) {
         const expander = {
             message: origEvent,
-            match: handler.expand(origEvent)
+            match: handler.expand(origEvent),
+            message_headers: messageHeaders || {}
         };
 
         if (this._isBlacklisted(origEvent)) {
@@ -443,19 +1156,20 @@ class BaseExecutor {
             const now = Date.now();
             if (delayUntil > Date.now()) {
                 const timeLeft = delayUntil - now;
+                const delayedEvent = this._createDelayedEvent(origEvent, delayUntil);
+                if (delayedEvent) {
+                    // Let the delay topics hold the event instead of holding it in memory
+                    return this._produceEvents([ delayedEvent ]);
+                }
                 if (timeLeft > this.reenqueue_delay) {
                     // Not ready to execute yet - delay for some time and put back to the queue
                     return P.delay(this.reenqueue_delay)
-                    .then(() => {
-                        return this._hyper.post({
-                            uri: new URI('/sys/queue/events'),
-                            body: [ origEvent ]
-                        });
-                    });
+                    .then(() => this._produceEvents([ origEvent ]));
                 }
                 // The exec time is to soon to re-enqueue - just wait and execute
                 return P.delay(timeLeft + 1)
-                .then(() => this._exec(origEvent, handler, statDelayStartTime, retryEvent));
+                .then(() => this._exec(origEvent, handler, statDelayStartTime, retryEvent,
+                    messageHeaders));
             }
         }
 
@@ -520,44 +1234,91 @@ class BaseExecutor {
             }
         };
 
-        return this._rateLimitMessage(expander)
-        .then((isRateLimited) => {
-            if (isRateLimited) {
-                return { status: 200 };
-            }
-            return this._dedupeMessage(expander)
-            .then((messageDeduped) => {
-                if (messageDeduped) {
-                    return { status: 200 };
+        // The key slot is taken just for the execution, so that the events waiting
+        // for their retry delay don't hold the slots of their key
+        return this._withConcurrencyLimit(origEvent, () => {
+            const startTime = Date.now();
+            return this._rateLimitMessage(expander)
+            .then((isRateLimited) => {
+                if (isRateLimited) {
+                    return this._deferRateLimited(origEvent, retryEvent, messageHeaders);
                 }
-                return P.each(handler.exec, (tpl, index) => {
-                    const request = tpl.expand(expander);
-                    request.headers = Object.assign(request.headers, {
-                        'x-request-id': origEvent.meta.request_id,
-                        'x-triggered-by': utils.triggeredBy(retryEvent || origEvent)
-                    });
-                    return this._hyper.request(request)
-                    .tap(redirectCheck)
-                    .catch((e) => {
-                        if (this.rule.shouldIgnoreError(BaseExecutor.decodeError(e))) {
-                            return { status: 200 };
+                return this._dedupeMessage(expander)
+                .then((messageDeduped) => {
+                    if (messageDeduped) {
+                        return { status: 200 };
+                    }
+                    let responseSize = 0;
+                    const countSize = (res) => {
+                        responseSize += BaseExecutor._responseSize(res);
+                    };
+                    const stats = () => ({ duration: Date.now() - startTime, size: responseSize });
+                    // The time held by the circuit breakers is not the latency of the target
+                    let heldTime = 0;
+                    const countHeld = (time) => {
+                        heldTime += time;
+                    };
+                    // Only the first attempts that reach the target count for the retry budget
+                    let attemptRecorded = !!retryEvent || !this._retryBudget;
+                    const recordAttempt = () => {
+                        if (!attemptRecorded) {
+                            attemptRecorded = true;
+                            this._retryBudget.recordAttempt();
                         }
-                        throw e;
+                    };
+                    return P.each(handler.exec, (tpl, index) => {
+                        const request = tpl.expand(expander);
+                        request.headers = Object.assign(request.headers, {
+                            'x-request-id': origEvent.meta.request_id,
+                            'x-triggered-by': utils.triggeredBy(retryEvent || origEvent)
+                        });
+                        return this._requestThroughBreaker(request, expander, countHeld,
+                            recordAttempt)
+                        .tap(redirectCheck)
+                        .tap(countSize)
+                        .tapCatch(countSize)
+                        .catch((e) => {
+                            if (this.rule.shouldIgnoreError(BaseExecutor.decodeError(e))) {
+                                return { status: 200 };
+                            }
+                            // Recorded in the attempt history of the retry
+                            e.exec_index = index;
+                            throw e;
+                        })
+                        .tap(this._sampleLog.bind(this, retryEvent || origEvent, request))
+                        .tapCatch(this._sampleLog.bind(this, retryEvent || origEvent, request));
                     })
-                    .tap(this._sampleLog.bind(this, retryEvent || origEvent, request))
-                    .tapCatch(this._sampleLog.bind(this, retryEvent || origEvent, request));
-                })
-                .tap(() => this._updateLimiters(expander, 200))
-                .tapCatch(e => this._updateLimiters(expander, e.status))
-                .finally(() => this._hyper.metrics.endTiming(
-                    [`${this.statName(origEvent)}_exec`],
-                    startTime)
-                );
+                    .tap(() => this._updateLimiters(expander, 200, stats()))
+                    .tapCatch(e => this._updateLimiters(expander, e.status, stats()))
+                    .tap(() => this._recordExec(startTime + heldTime, 200))
+                    .tapCatch(e => this._recordExec(startTime + heldTime, e.status))
+                    .tapCatch((e) => {
+                        e.exec_duration = Date.now() - startTime;
+                    })
+                    .finally(() => this._hyper.metrics.endTiming(
+                        [`${this.statName(origEvent)}_exec`],
+                        startTime)
+                    );
+                });
             });
         });
     }
 
+    /**
+     * Returns the name of the retry stream to produce the retries of the topic events to
+     *
+     * @param {string} topic the topic of the retried events
+     * @return {string}
+     */
     retryStreamName(topic) {
+        if (this.retry_stream === 'shared') {
+            return this._sharedRetryStreamName(topic);
+        }
+        // A separate prefix, so that the names never collide with the shared streams of the topics
+        return `${this._hyper.config.service_name}.retry_rule.${this.rule.name}.${topic}`;
+    }
+
+    _sharedRetryStreamName(topic) {
         return `${this._hyper.config.service_name}.retry.${topic}`;
     }
 
@@ -565,13 +1326,142 @@ class BaseExecutor {
         return `${this._hyper.config.service_name}#${this.rule.name}`;
     }
 
+    /**
+     * Returns the delay requested by the Retry-After header in ms
+     *
+     * @param {Object} [headers] the response headers
+     * @return {number|undefined} the delay or undefined if the header is missing or invalid
+     * @private
+     */
+    static _retryAfter(headers) {
+        const value = headers && headers['retry-after'];
+        if (!value) {
+            return undefined;
+        }
+        if (/^\d+$/.test(value)) {
+            return parseInt(value, 10) * 1000;
+        }
+        const date = Date.parse(value);
+        if (isNaN(date)) {
+            return undefined;
+        }
+        return Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Returns the delay before executing a retry in ms, following the retry schedule
+     * for the status of the failed response
+     *
+     * @param {number} retriesLeft the number of retries left after the retry
+     * @param {Object} [errorRes] the failed response
+     * @return {number}
+     */
+    _retryDelay(retriesLeft, errorRes) {
+        const schedule = this.rule.getRetrySchedule(errorRes);
+        let delay = schedule.delay *
+            Math.pow(schedule.factor, this.rule.spec.retry_limit - retriesLeft);
+        if (schedule.max_delay) {
+            delay = Math.min(delay, schedule.max_delay);
+        }
+        if (schedule.jitter) {
+            delay = Math.floor(Math.random() * delay);
+        }
+        if (schedule.retry_after) {
+            const retryAfter = BaseExecutor._retryAfter(errorRes && errorRes.headers);
+            if (retryAfter !== undefined) {
+                delay = Math.min(retryAfter, schedule.max_delay || DEFAULT_MAX_RETRY_AFTER);
+            }
+        }
+        return delay;
+    }
+
+    /**
+     * Wraps the event to be delivered at the time via the delay topics if they are enabled.
+     *
+     * @param {Object} event the event to deliver
+     * @param {number} deliverAt the timestamp to deliver the event at
+     * @param {Object} [headers] the Kafka headers to deliver the event with
+     * @return {Object|undefined} the event for the delay topic or undefined if the
+     *         delay topics are not enabled or the delay is too short for them
+     * @private
+     */
+    _createDelayedEvent(event, deliverAt, headers) {
+        if (!this.options.delay_topics) {
+            return undefined;
+        }
+        return DelayQueue.createDelayedEvent(event, deliverAt, this.options.delay_topics,
+            this._hyper.config.service_name, headers);
+    }
+
+    deadLetterStreamName() {
+        return `${this._hyper.config.service_name}.dead_letter.${this.rule.name}`;
+    }
+
     _errorStreamName() {
         return `${this._hyper.config.service_name}.error`;
     }
 
+    /**
+     * Returns the reason of the failure to record
+     *
+     * @param {Object} [errorRes] the failed response
+     * @return {string|undefined}
+     * @private
+     */
+    static _errorReason(errorRes) {
+        if (errorRes && errorRes.body && typeof errorRes.body === 'object') {
+            return errorRes.body.title || errorRes.body.message;
+        } else if (errorRes && errorRes.body && typeof errorRes.body === 'string') {
+            // Sometimes MediaWiki will send us error body as HTML,
+            // for PHP fatals or 503 for example. Record it for easier debugging.
+            return errorRes.body;
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns the history of the failed attempts carried by the retry message.
+     * The retries of the schema 1.0.0 only carry the latest failure.
+     *
+     * @param {Object} [retryEvent] the retry message
+     * @return {Array}
+     * @private
+     */
+    static _attemptHistory(retryEvent) {
+        if (!retryEvent) {
+            return [];
+        }
+        if (Array.isArray(retryEvent.attempts)) {
+            return retryEvent.attempts;
+        }
+        return [ {
+            dt: retryEvent.meta.dt,
+            status: retryEvent.error_status,
+            reason: retryEvent.reason
+        } ];
+    }
+
+    /**
+     * Returns the history of the failed attempts including the latest one
+     *
+     * @param {Object} errorRes the failed response of the latest attempt
+     * @param {Object} [retryEvent] the retry message if the event was retried
+     * @return {Array}
+     * @private
+     */
+    _attempts(errorRes, retryEvent) {
+        return BaseExecutor._attemptHistory(retryEvent).concat([ {
+            dt: new Date().toISOString(),
+            status: errorRes && errorRes.status,
+            reason: BaseExecutor._errorReason(errorRes),
+            exec_index: errorRes && errorRes.exec_index,
+            duration: errorRes && errorRes.exec_duration
+        } ]);
+    }
+
     _constructRetryMessage(event, errorRes, retriesLeft, retryEvent) {
         const result = {
-            $schema: '/change-prop/retry/1.0.0',
+            $schema: '/change-prop/retry/1.1.0',
             meta: {
                 stream: this.retryStreamName(event.meta.stream),
                 uri: event.meta.uri,
@@ -581,15 +1471,12 @@ class BaseExecutor {
             emitter_id: this.emitterId(),
             retries_left: retriesLeft === undefined ? this.rule.spec.retry_limit : retriesLeft,
             original_event: event,
-            error_status: errorRes && errorRes.status
+            error_status: errorRes && errorRes.status,
+            reason: BaseExecutor._errorReason(errorRes),
+            attempts: this._attempts(errorRes, retryEvent)
         };
-        if (errorRes && errorRes.body && typeof errorRes.body === 'object') {
-            result.reason = (errorRes.body.title || errorRes.body.message);
-        } else if (errorRes && errorRes.body && typeof errorRes.body === 'string') {
-            // Sometimes MediaWiki will send us error body as HTML,
-            // for PHP fatals or 503 for example. Record it for easier debugging.
-            result.reason = errorRes.body;
-        }
+        // Record the delay, as it could be random or requested by the response
+        result.retry_delay = this._retryDelay(result.retries_left, errorRes);
         return result;
     }
 
@@ -617,11 +1504,37 @@ class BaseExecutor {
         return false;
     }
 
-    _catch(message, retryMessage, e) {
-        const reportError = () => this._hyper.post({
-            uri: new URI('/sys/queue/events'),
-            body: [this._constructErrorMessage(e, message)]
+    /**
+     * Produces the retry message, via the delay topics if they are enabled.
+     *
+     * @param {Object} retryMessage the retry message
+     * @param {Object} [messageHeaders] the Kafka headers of the retried message
+     * @return {Promise}
+     * @private
+     */
+    _produceRetry(retryMessage, messageHeaders) {
+        const now = Date.now();
+        const delayedRetry = this._createDelayedEvent(retryMessage,
+            now + retryMessage.retry_delay, messageHeaders);
+        if (delayedRetry) {
+            // The retry delay is counted from the creation of the retry,
+            // not from its delivery to the retry topic.
+            retryMessage.meta.dt = new Date(now).toISOString();
+            return this._produceEvents([ delayedRetry ]);
+        }
+        // Keep the original Kafka headers so that they're available
+        // to the retry templates
+        return this._produceEvents({
+            events: [ retryMessage ],
+            headers: messageHeaders
         });
+    }
+
+    _catch(message, retryMessage, e, messageHeaders) {
+        const reportError = () =>
+            this._produceEvents([
+                this._constructErrorMessage(e, message, retryMessage.attempts)
+            ]);
 
         if (e.constructor.name !== 'HTTPError') {
             // We've got an error, but it's not from the update request, it's
@@ -646,6 +1559,7 @@ class BaseExecutor {
         if (e.headers && e.headers['x-readonly'] &&
                 retryMessage.retries_left < this.rule.spec.retry_limit) {
             retryMessage.retries_left += 1;
+            retryMessage.retry_delay = this._retryDelay(retryMessage.retries_left, e);
         }
 
         if (!this.rule.shouldIgnoreError(e)) {
@@ -657,25 +1571,77 @@ class BaseExecutor {
                 stream: message.meta.stream,
                 error_body_str: utils.stringify(e.body)
             }));
-            if (this.rule.shouldRetry(e) &&
-                !this._isLimitExceeded(retryMessage, e)) {
-                return this._hyper.post({
-                    uri: new URI('/sys/queue/events'),
-                    body: [ retryMessage ]
-                });
+            if (this.rule.shouldRetry(e)) {
+                if (!this._isLimitExceeded(retryMessage, e)) {
+                    if (!this._retryBudget || this._retryBudget.acquire()) {
+                        return this._produceRetry(retryMessage, messageHeaders);
+                    }
+                    this._logger.log('warn/retry_budget', () => ({
+                        message: 'Retry budget exhausted',
+                        event_str: utils.stringify(message),
+                        stream: message.meta.stream
+                    }));
+                    if (this._retryBudget.onExhausted === 'delay') {
+                        retryMessage.retry_delay = Math.max(retryMessage.retry_delay,
+                            this._retryBudget.delay);
+                        return this._produceRetry(retryMessage, messageHeaders);
+                    }
+                }
+                if (this.dead_letter) {
+                    return this._produceEvents([
+                        this._constructDeadLetterMessage(message, retryMessage, e)
+                    ]);
+                }
             }
             return reportError();
         }
     }
 
+    /**
+     * Constructs an event for the dead-letter stream of the rule, carrying
+     * the original event, the attempt history and the final response.
+     *
+     * @param {Object} message the processed message, either the original event or a retry
+     * @param {Object} retryMessage the retry message that was not produced
+     * @param {HTTPError} e the error of the final attempt
+     * @return {Object}
+     * @private
+     */
+    _constructDeadLetterMessage(message, retryMessage, e) {
+        const event = retryMessage.original_event;
+        const now = new Date();
+        const body = typeof e.body === 'string' ? e.body : utils.stringify(e.body);
+        return {
+            $schema: '/change-prop/dead_letter/1.0.0',
+            meta: {
+                stream: this.deadLetterStreamName(),
+                uri: event.meta.uri,
+                id: uuidv1({ msecs: now.getTime() }),
+                dt: now.toISOString(),
+                domain: event.meta.domain
+            },
+            triggered_by: utils.triggeredBy(message),
+            emitter_id: this.emitterId(),
+            rule: this.rule.name,
+            original_event: event,
+            attempts: retryMessage.attempts,
+            final_response: {
+                status: e.status,
+                headers: e.headers,
+                body_str: body && body.substr(0, MAX_DEAD_LETTER_BODY_LENGTH)
+            }
+        };
+    }
+
     /**
      * Create an error message for a special Kafka topic
      *
      * @param {Error} e an exception that caused a failure
      * @param {string|Object} event an original event. In case JSON parsing failed - it's a string.
+     * @param {Array} [attempts] the history of the failed attempts to execute the event
      * @return {Object} error message object
      */
-    _constructErrorMessage(e, event) {
+    _constructErrorMessage(e, event, attempts) {
         const genericErrorURI = 'https://mediawiki.org/wiki/ChangePropagation/error';
         const eventUri = typeof event === 'string' ? genericErrorURI : event.meta.uri;
         const domain = typeof event === 'string' ? 'unknown' : event.meta.domain;
@@ -700,15 +1666,145 @@ class BaseExecutor {
                 headers: e.headers,
                 body: e.body
             };
+            if (attempts) {
+                errorEvent.details.attempts = attempts;
+            }
         }
         return errorEvent;
     }
 
+    /**
+     * Stops consuming new messages. Messages already in flight are
+     * finished and committed normally.
+     */
+    pause() {
+        this._paused = true;
+        this._applyBackpressure();
+    }
+
+    /**
+     * Restarts consumption of a paused executor
+     */
+    resume() {
+        this._paused = false;
+        this._applyBackpressure();
+    }
+
+    /**
+     * Returns a description of the executor state
+     *
+     * @return {Object}
+     */
+    describe() {
+        return {
+            executor: this.constructor.name,
+            consumer_group: this.consumerGroup,
+            topics: this.subscribeTopics,
+            paused: this._paused,
+            partitions_paused: this._partitionsPaused
+        };
+    }
+
+    /**
+     * Reports the consumption state of the executor: the assigned partitions
+     * with committed offsets, high watermarks and lag, as well as the number of
+     * messages in flight.
+     *
+     * @return {Promise<Object>}
+     */
+    status() {
+        const status = Object.assign(this.describe(), {
+            concurrency: this.concurrency,
+            pending_messages: this._pendingMsgs.size,
+            waiting_on_keys: this._keyWaitingCount,
+            retry_budget: this._retryBudget && this._retryBudget.describe(),
+            pending_commits: Array.from(this._pendingCommits.values())
+            .reduce((count, commitQueue) => count + commitQueue.length, 0),
+            last_consumed: this._lastConsumedTimestamp &&
+                new Date(this._lastConsumedTimestamp).toISOString()
+        });
+        if (!this._connected) {
+            status.partitions = [];
+            return P.resolve(status);
+        }
+
+        return P.try(() => {
+            const assignments = this.consumer.assignments();
+            return P.join(
+                this.consumer.committedAsync(assignments, STATUS_QUERY_TIMEOUT),
+                P.map(assignments, assignment => this.consumer.queryWatermarkOffsetsAsync(
+                    assignment.topic, assignment.partition, STATUS_QUERY_TIMEOUT)
+                .catch(e => ({ error: `${e}` })))
+            )
+            .spread((committed, watermarks) => assignments.map((assignment, index) => {
+                const committedPartition = committed.find(toppar =>
+                    toppar.topic === assignment.topic && toppar.partition === assignment.partition);
+                // Negative offsets are special values meaning the offset is not yet known
+                const committedOffset = committedPartition && committedPartition.offset >= 0 ?
+                    committedPartition.offset : null;
+                const highWatermark = watermarks[index].highOffset;
+                return {
+                    topic: assignment.topic,
+                    partition: assignment.partition,
+                    committed_offset: committedOffset,
+                    high_watermark: highWatermark,
+                    lag: committedOffset !== null && highWatermark !== undefined ?
+                        highWatermark - committedOffset : null,
+                    error: watermarks[index].error
+                };
+            }));
+        })
+        .catch((e) => {
+            status.error = `${e}`;
+            return [];
+        })
+        .then((partitions) => {
+            status.partitions = partitions;
+            return status;
+        });
+    }
+
     close() {
         this._connected = false;
+        clearInterval(this._selfCheck);
+        clearInterval(this._adaptiveCheck);
         return this.consumer.disconnectAsync();
     }
 
+    /**
+     * Stops consuming new messages, waits for the messages in flight to finish,
+     * commits the finished offsets and disconnects the consumer.
+     *
+     * @param {number} timeout the maximum time to wait for the messages in flight, in ms
+     * @return {Promise}
+     */
+    drain(timeout) {
+        this._draining = true;
+        const deadline = Date.now() + timeout;
+        const waitForPending = () => {
+            if (this._pendingMsgs.size <= this._delayedMsgCount) {
+                return P.resolve();
+            }
+            if (Date.now() >= deadline) {
+                this._logger.log('warn/drain', {
+                    message: 'Drain timed out, abandoning the messages in flight',
+                    pending_messages: this._pendingMsgs.size
+                });
+                return P.resolve();
+            }
+            return P.delay(DRAIN_CHECK_INTERVAL).then(waitForPending);
+        };
+        return waitForPending()
+        .then(() => {
+            clearTimeout(this._commitTimeout);
+            this._commitTimeout = null;
+            if (this._connected && !this.options.test_mode) {
+                return this._commitPending();
+            }
+        })
+        .then(() => this.close());
+    }
+
     static decodeError(e) {
         if (Buffer.isBuffer(e.body)) {
             e.body = e.body.toString();
@@ -0,0 +1,157 @@
+'use strict';
+
+const P = require('bluebird');
+
+/**
+ * The default options of the circuit breakers
+ *
+ * @const
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+    failure_ratio: 0.5,
+    min_requests: 20,
+    window: 10000,
+    open_duration: 30000
+};
+
+/**
+ * Stops sending requests to a failing target. The breaker opens when the share of the failed
+ * requests within the window exceeds the failure ratio. While it's open the requests are held
+ * rather than failed. After the open duration it's half-open: a single probe request is let
+ * through, closing the breaker if it succeeds and opening it again if it fails.
+ */
+class CircuitBreaker {
+    /**
+     * @param {string} ruleName the name of the rule the breaker belongs to
+     * @param {string} key the target the breaker guards
+     * @param {Object} options
+     * @param {number} [options.failure_ratio] the share of failed requests to open the breaker at
+     * @param {number} [options.min_requests] the minimum number of requests within the window
+     *                 to open the breaker
+     * @param {number} [options.window] the length of the window to count the requests in, ms
+     * @param {number} [options.open_duration] how long to hold the requests before probing, ms
+     * @param {Object} logger the logger to use
+     * @param {Object} metrics the metrics reporter to use
+     */
+    constructor(ruleName, key, options, logger, metrics) {
+        this.ruleName = ruleName;
+        this.key = key;
+        this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this._logger = logger;
+        this._metrics = metrics;
+        this._statName = metrics.normalizeName(`${ruleName}-${key}`);
+        this.state = 'closed';
+        this._waiting = [];
+        this._probing = false;
+        this._resetWindow();
+    }
+
+    _resetWindow() {
+        this._windowStart = Date.now();
+        this._requests = 0;
+        this._failures = 0;
+    }
+
+    _transition(state) {
+        const from = this.state;
+        this.state = state;
+        this._logger.log(state === 'open' ? 'warn/circuit_breaker' : 'info/circuit_breaker', {
+            message: `Circuit breaker is ${state.replace('_', '-')}`,
+            rule: this.ruleName,
+            target: this.key,
+            from
+        });
+        this._metrics.increment(`${this._statName}_circuit_${state}`);
+        this._metrics.gauge(`${this._statName}_circuit_held`, this._waiting.length);
+    }
+
+    _open() {
+        this._transition('open');
+        this._probing = false;
+        clearTimeout(this._halfOpenTimeout);
+        this._halfOpenTimeout = setTimeout(() => {
+            this._transition('half_open');
+            this._releaseProbe();
+        }, this._options.open_duration);
+        // The held requests don't need to keep the process alive
+        this._halfOpenTimeout.unref();
+    }
+
+    _close() {
+        const waiting = this._waiting;
+        this._waiting = [];
+        this._transition('closed');
+        this._probing = false;
+        this._resetWindow();
+        waiting.forEach(release => release(false));
+    }
+
+    _releaseProbe() {
+        if (!this._probing && this._waiting.length) {
+            this._probing = true;
+            this._waiting.shift()(true);
+        }
+    }
+
+    /**
+     * Waits until a request could be sent to the target.
+     *
+     * @return {Promise<boolean>} resolved when the request could be sent,
+     *         with true if the request is a probe
+     */
+    acquire() {
+        if (this.state === 'closed') {
+            return P.resolve(false);
+        }
+        const acquired = new P(resolve => this._waiting.push(resolve));
+        if (this.state === 'half_open') {
+            this._releaseProbe();
+        }
+        this._metrics.gauge(`${this._statName}_circuit_held`, this._waiting.length);
+        return acquired;
+    }
+
+    /**
+     * Records the outcome of a request sent to the target
+     *
+     * @param {boolean} isProbe whether the request was a probe
+     * @param {boolean} failed whether the request failed
+     */
+    record(isProbe, failed) {
+        if (isProbe) {
+            if (failed) {
+                this._open();
+            } else {
+                this._close();
+            }
+            return;
+        }
+        if (this.state !== 'closed') {
+            // The requests sent before the breaker opened are not relevant any more
+            return;
+        }
+        if (Date.now() - this._windowStart > this._options.window) {
+            this._resetWindow();
+        }
+        this._requests++;
+        if (failed) {
+            this._failures++;
+        }
+        if (this._requests >= this._options.min_requests &&
+                this._failures / this._requests >= this._options.failure_ratio) {
+            this._open();
+        }
+    }
+
+    /**
+     * Stops the breaker once its rule is unsubscribed. The held requests are left
+     * waiting, their messages are not committed.
+     */
+    close() {
+        clearTimeout(this._halfOpenTimeout);
+        this._halfOpenTimeout = undefined;
+    }
+}
+
+module.exports = CircuitBreaker;
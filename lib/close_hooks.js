@@ -0,0 +1,27 @@
+'use strict';
+
+const P = require('bluebird');
+
+/**
+ * The functions run when the service is stopped, registered by the sys modules
+ * that need to finish their work before the process exits.
+ */
+const hooks = [];
+
+module.exports = {
+    /**
+     * Registers a function to run when the service is stopped
+     *
+     * @param {Function} hook the function, returning a promise if it's asynchronous
+     */
+    register: (hook) => {
+        hooks.push(hook);
+    },
+
+    /**
+     * Runs all the registered functions and forgets them
+     *
+     * @return {Promise} resolved once all the functions finished
+     */
+    run: () => P.all(hooks.splice(0).map(hook => P.try(hook)))
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+const utils = require('./utils');
+const ReplayExecutor = require('./replay_executor');
+
+/**
+ * Checks whether the value is allowed by a filter, which is either
+ * a single value or a list of values. A missing filter allows everything.
+ *
+ * @param {*} filter the filter to check against
+ * @param {*} value the value to check
+ * @return {boolean}
+ */
+function _allowed(filter, value) {
+    if (filter === undefined || filter === null) {
+        return true;
+    }
+    return Array.isArray(filter) ? filter.includes(value) : filter === value;
+}
+
+/**
+ * An executor re-injecting the events from the dead-letter stream of a rule
+ * back into the retry stream of the rule. Only the dead-letter events within
+ * the time range and matching the status and domain filters are re-injected.
+ */
+class DeadLetterExecutor extends ReplayExecutor {
+    /**
+     * Creates a new instance of a dead-letter executor
+     *
+     * @param {Rule} rule
+     * @param {KafkaFactory} kafkaFactory
+     * @param {Object} hyper
+     * @param {Object} options
+     * @param {Object} range the range of dead-letter events to re-inject
+     * @param {string} range.id the ID of the re-injection
+     * @param {string} range.start the timestamp to re-inject from
+     * @param {string} [range.end] the timestamp to re-inject until, now by default
+     * @param {number|Array} [range.status] the final response statuses to re-inject
+     * @param {string|Array} [range.domain] the domains of the events to re-inject
+     * @param {Object} [shared] the state shared with the executors of the rule
+     * @class
+     */
+    constructor(rule, kafkaFactory, hyper, options, range, shared) {
+        super(rule, kafkaFactory, hyper, options, range, shared);
+        this._reinjectedCount = 0;
+    }
+
+    get subscribeTopics() {
+        return [ `${this.kafkaFactory.consumeDC}.${this.deadLetterStreamName()}` ];
+    }
+
+    get consumerGroup() {
+        return `${super.consumerGroup}-dead_letter`;
+    }
+
+    getHandler(message) {
+        if (!message || !message.original_event || !message.original_event.meta ||
+                !_allowed(this._range.status,
+                    message.final_response && message.final_response.status) ||
+                !_allowed(this._range.domain, message.original_event.meta.domain)) {
+            return undefined;
+        }
+        this._matchedCount++;
+        return {};
+    }
+
+    processMessage(message) {
+        // The event is re-injected as a retry of this rule, so that the other rules consuming
+        // its topic don't process it again. The retries are not deduplicated.
+        const retryMessage = this._constructRetryMessage(message.original_event,
+            message.final_response, undefined, message);
+        // The dead-letter event already carries the history including the final attempt
+        retryMessage.attempts = message.attempts || [];
+        retryMessage.retry_delay = 0;
+        return this._produceRetry(retryMessage)
+        .then((res) => {
+            if (res.status < 300) {
+                this._reinjectedCount++;
+            }
+        })
+        .catch(e => this._logger.log('error/dead_letter', {
+            message: 'Failed to re-inject a dead-letter event',
+            replay_id: this.id,
+            event_str: utils.stringify(message.original_event),
+            description: `${e}`
+        }));
+    }
+
+    describe() {
+        return Object.assign(super.describe(), {
+            filters: {
+                status: this._range.status,
+                domain: this._range.domain
+            },
+            reinjected: this._reinjectedCount
+        });
+    }
+}
+
+module.exports = DeadLetterExecutor;
@@ -0,0 +1,355 @@
+'use strict';
+
+const P = require('bluebird');
+const kafka = require('node-rdkafka');
+const URI = require('hyperswitch').URI;
+
+const utils = require('./utils');
+
+/**
+ * The default delays of the delay topics in seconds
+ *
+ * @const
+ * @type {Array}
+ */
+const DEFAULT_TIERS = [ 10, 60, 600, 3600 ];
+
+/**
+ * How long to wait before retrying to forward a due event that failed to be produced
+ *
+ * @const
+ * @type {number}
+ */
+const FORWARD_RETRY_DELAY = 1000;
+
+/**
+ * The maximum number of due events forwarded at once
+ *
+ * @const
+ * @type {number}
+ */
+const MAX_FORWARD_BATCH = 100;
+
+/**
+ * Returns the sorted delays of the delay topics in seconds
+ *
+ * @param {Object} options the delay_topics options
+ * @return {Array}
+ */
+function _tiers(options) {
+    return (options.tiers || DEFAULT_TIERS).slice().sort((a, b) => a - b);
+}
+
+/**
+ * Returns the longest delay of a delay topic not exceeding the remaining time
+ *
+ * @param {Array} tiers the sorted delays of the delay topics in seconds
+ * @param {number} remaining the remaining time in ms
+ * @return {number|undefined}
+ */
+function _tierFor(tiers, remaining) {
+    return tiers.filter(tier => tier * 1000 <= remaining).pop();
+}
+
+/**
+ * Returns a key of the topic partition of the message
+ *
+ * @param {Object} msg the message or topic partition
+ * @return {string}
+ */
+function _partitionKey(msg) {
+    return `${msg.topic}/${msg.partition}`;
+}
+
+/**
+ * Durable delayed delivery of events through a set of delay topics, each delaying
+ * its events by a fixed time. An event delayed for longer than the delay of the topic
+ * hops through several topics. Since all the events in a topic have the same delay,
+ * they become due in offset order, so the consumer only waits for the head event of
+ * each partition, keeping the partition paused until it's due.
+ */
+class DelayQueue {
+    /**
+     * @param {Object} options the delay_topics options
+     * @param {Array} [options.tiers] the delays of the topics in seconds
+     * @param {KafkaFactory} kafkaFactory
+     * @param {Object} hyper
+     */
+    constructor(options, kafkaFactory, hyper) {
+        this._tiers = _tiers(options);
+        this._kafkaFactory = kafkaFactory;
+        this._hyper = hyper;
+        this._logger = hyper.logger.child({ component: 'delay_queue' });
+        // The consumers of the delay topics, keyed by the tier
+        this._consumers = new Map();
+        // Consumed but not yet forwarded messages, keyed by topic and partition
+        this._buffers = new Map();
+        this._timers = new Map();
+        this._connected = false;
+    }
+
+    /**
+     * Returns the stream name of the delay topic
+     *
+     * @param {string} serviceName the name of the service
+     * @param {number} tier the delay of the topic in seconds
+     * @return {string}
+     */
+    static streamName(serviceName, tier) {
+        return `${serviceName}.delay.${tier}`;
+    }
+
+    /**
+     * Wraps the event to be delivered to its stream at the time via the delay topics.
+     *
+     * @param {Object} event the event to deliver
+     * @param {number} deliverAt the timestamp to deliver the event at
+     * @param {Object} options the delay_topics options
+     * @param {string} serviceName the name of the service
+     * @param {Object} [headers] the Kafka headers to deliver the event with
+     * @return {Object|undefined} the event for the delay topic, or undefined
+     *         if the time is too close for any of the delay topics
+     */
+    static createDelayedEvent(event, deliverAt, options, serviceName, headers) {
+        const tier = _tierFor(_tiers(options), deliverAt - Date.now());
+        if (!tier) {
+            return undefined;
+        }
+        return {
+            $schema: '/change-prop/delayed/1.0.0',
+            meta: {
+                stream: DelayQueue.streamName(serviceName, tier),
+                uri: event.meta.uri,
+                domain: event.meta.domain
+            },
+            deliver_at: new Date(deliverAt).toISOString(),
+            event,
+            headers
+        };
+    }
+
+    /**
+     * Starts consuming the delay topics
+     *
+     * @return {Promise}
+     */
+    subscribe() {
+        const serviceName = this._hyper.config.service_name;
+        this._connected = true;
+        return P.each(this._tiers, tier => this._kafkaFactory.createConsumer(
+            `${serviceName}-delay-${tier}`,
+            [ `${this._kafkaFactory.consumeDC}.${DelayQueue.streamName(serviceName, tier)}` ],
+            this._hyper.metrics
+        )
+        .then((consumer) => {
+            this._consumers.set(tier, consumer);
+            consumer.on('rebalance', (err, assignment) => {
+                if (err.code === kafka.CODES.ERRORS.ERR__REVOKE_PARTITIONS) {
+                    // The new owner will read the buffered messages again
+                    assignment.forEach(toppar => this._dropBuffer(_partitionKey(toppar)));
+                }
+            });
+            this._consume(tier, consumer);
+        }));
+    }
+
+    _dropBuffer(partitionKey) {
+        this._buffers.delete(partitionKey);
+        clearTimeout(this._timers.get(partitionKey));
+        this._timers.delete(partitionKey);
+    }
+
+    _consume(tier, consumer) {
+        if (!this._connected) {
+            return;
+        }
+        consumer.consumeAsync(100)
+        .then((messages) => {
+            if (!messages.length) {
+                return P.delay(100);
+            }
+            messages.forEach((msg) => {
+                const partitionKey = _partitionKey(msg);
+                if (!this._buffers.has(partitionKey)) {
+                    this._buffers.set(partitionKey, []);
+                }
+                this._buffers.get(partitionKey).push(msg);
+            });
+            new Set(messages.map(_partitionKey))
+            .forEach(partitionKey => this._processPartition(tier, consumer, partitionKey));
+        })
+        .catch((e) => {
+            if (e.code !== kafka.CODES.ERRORS.ERR__PARTITION_EOF &&
+                    e.code !== kafka.CODES.ERRORS.ERR__TIMED_OUT) {
+                this._logger.log('error/delay_queue', e);
+                return P.delay(1000);
+            }
+            return P.delay(100);
+        })
+        .finally(() => this._consume(tier, consumer));
+    }
+
+    /**
+     * Forwards the due head messages of the partition as one batch and commits the last one.
+     * Once the head message is not due, the partition is paused until it is.
+     *
+     * @param {number} tier the delay of the topic in seconds
+     * @param {Object} consumer the consumer of the topic
+     * @param {string} partitionKey the topic and partition
+     * @private
+     */
+    _processPartition(tier, consumer, partitionKey) {
+        const buffer = this._buffers.get(partitionKey);
+        if (!this._connected || !buffer || !buffer.length || this._timers.has(partitionKey)) {
+            return;
+        }
+        const toppar = [ { topic: buffer[0].topic, partition: buffer[0].partition } ];
+        const wait = (delay) => {
+            consumer.pause(toppar);
+            this._timers.set(partitionKey, setTimeout(() => {
+                this._timers.delete(partitionKey);
+                consumer.resume(toppar);
+                this._processPartition(tier, consumer, partitionKey);
+            }, delay));
+        };
+        // The due head messages along with the parsed events. The invalid messages
+        // have no event, they are committed along with the batch.
+        const due = [];
+        let dueIn;
+        for (const msg of buffer) {
+            if (due.length >= MAX_FORWARD_BATCH) {
+                break;
+            }
+            let delayed;
+            try {
+                delayed = JSON.parse(msg.value.toString('utf8'));
+            } catch (e) {
+                this._logger.log('error/delay_queue', {
+                    message: 'Dropping an invalid delayed event',
+                    event_str: msg.value.toString('utf8')
+                });
+                due.push({ msg });
+                continue;
+            }
+            dueIn = Date.parse(delayed.meta.dt) + tier * 1000 - Date.now();
+            if (dueIn > 0) {
+                break;
+            }
+            due.push({ msg, delayed });
+        }
+        const events = due.filter(item => item.delayed).map(item => item.delayed);
+        if (!events.length) {
+            if (due.length) {
+                // Only invalid messages, skip them
+                this._complete(consumer, buffer, due.length);
+                this._processPartition(tier, consumer, partitionKey);
+            } else {
+                wait(dueIn);
+            }
+            return;
+        }
+        // Commits the messages up to the last forwarded event, along with the invalid ones
+        const completeForwarded = (forwardedCount) => {
+            let doneCount = 0;
+            while (doneCount < due.length &&
+                    (!due[doneCount].delayed || forwardedCount-- > 0)) {
+                doneCount++;
+            }
+            this._complete(consumer, buffer, doneCount);
+        };
+        // Use the timer slot as a lock while forwarding
+        this._timers.set(partitionKey, undefined);
+        this._forward(events)
+        .then(() => {
+            this._timers.delete(partitionKey);
+            if (this._buffers.get(partitionKey) !== buffer) {
+                // The partition was revoked meanwhile
+                return;
+            }
+            completeForwarded(events.length);
+            this._processPartition(tier, consumer, partitionKey);
+        })
+        .catch((e) => {
+            this._timers.delete(partitionKey);
+            this._logger.log('error/delay_queue', {
+                message: 'Failed to forward a delayed event',
+                event_str: utils.stringify(events[e.forwardedCount || 0]),
+                description: `${e}`
+            });
+            if (this._buffers.get(partitionKey) === buffer) {
+                completeForwarded(e.forwardedCount || 0);
+                wait(FORWARD_RETRY_DELAY);
+            }
+        });
+    }
+
+    /**
+     * Removes the messages from the head of the buffer and commits the last of them
+     *
+     * @param {Object} consumer the consumer of the topic
+     * @param {Array} buffer the buffered messages of the partition
+     * @param {number} count the number of the messages done
+     * @private
+     */
+    _complete(consumer, buffer, count) {
+        if (!count) {
+            return;
+        }
+        const msg = buffer.splice(0, count).pop();
+        try {
+            consumer.commitMessage(msg);
+        } catch (e) {
+            // The next commit covers these messages as well
+            this._logger.log('warn/delay_queue', {
+                message: 'Failed to commit the forwarded delayed events',
+                description: `${e}`
+            });
+        }
+    }
+
+    /**
+     * Delivers the events to their streams if they're due, or to the next delay topics
+     * otherwise. If some of the events failed to be produced, the error carries
+     * the number of the events produced before the first failed one.
+     *
+     * @param {Array} delayedEvents the events from the delay topic
+     * @return {Promise}
+     * @private
+     */
+    _forward(delayedEvents) {
+        const events = delayedEvents.map(delayed => DelayQueue.createDelayedEvent(
+            delayed.event, Date.parse(delayed.deliver_at), { tiers: this._tiers },
+            this._hyper.config.service_name, delayed.headers) || delayed.event);
+        return this._hyper.post({
+            uri: new URI('/sys/queue/events'),
+            body: {
+                events,
+                event_headers: delayedEvents.map(delayed => delayed.headers || {})
+            }
+        })
+        .then((res) => {
+            if (res.status === 207) {
+                const failedIndex = res.body.items.findIndex(item => item.status >= 300);
+                const e = new Error(res.body.items[failedIndex].error);
+                e.forwardedCount = failedIndex;
+                throw e;
+            }
+        });
+    }
+
+    /**
+     * Stops consuming the delay topics. The messages not forwarded yet
+     * are not committed, so they will be consumed again.
+     *
+     * @return {Promise}
+     */
+    close() {
+        this._connected = false;
+        Array.from(this._timers.keys()).forEach(key => this._dropBuffer(key));
+        this._buffers.clear();
+        return P.map(Array.from(this._consumers.values()),
+            consumer => consumer.disconnectAsync());
+    }
+}
+
+module.exports = DelayQueue;
@@ -0,0 +1,238 @@
+'use strict';
+
+const P = require('bluebird');
+const fs = require('fs');
+const path = require('path');
+
+const MemoryKafkaFactory = require('./memory_kafka_factory');
+
+/**
+ * The interval between feeding batches of events from the input files
+ *
+ * @const
+ * @type {number}
+ */
+const FEED_INTERVAL = 100;
+
+/**
+ * The maximum number of events fed at once when the rate is not limited
+ *
+ * @const
+ * @type {number}
+ */
+const MAX_FEED_BATCH = 1000;
+
+/**
+ * The number of lines to buffer before pausing the reading of an input file
+ *
+ * @const
+ * @type {number}
+ */
+const MAX_BUFFERED_LINES = 10000;
+
+/**
+ * The default number of events retained in the topic, not yet committed by the rules,
+ * at which the feeding is paused
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_MAX_BACKLOG = 10000;
+
+/**
+ * Reads newline-delimited JSON events from a file and feeds them into
+ * a topic at a limited rate, and no faster than the rules consume them.
+ */
+class NdjsonFileSource {
+    /**
+     * @param {string} filePath the path to the input file
+     * @param {string} topic the topic to feed the events to
+     * @param {Function} append a function appending an event to the topic
+     * @param {Function} backlog a function returning the number of events retained in the topic
+     * @param {Object} options
+     * @param {number} [options.rate] the maximum number of events per second, unlimited if not set
+     * @param {number} [options.max_backlog] the number of events retained in the topic
+     *                 to pause the feeding at
+     * @param {Object} [logger] the logger to use
+     */
+    constructor(filePath, topic, append, backlog, options, logger) {
+        this._filePath = filePath;
+        this._topic = topic;
+        this._append = append;
+        this._backlog = backlog;
+        this._rate = options.rate;
+        this._maxBacklog = options.max_backlog || DEFAULT_MAX_BACKLOG;
+        this._logger = logger;
+        this._lines = [];
+        this._partialLine = '';
+        this._ended = false;
+        this._fedCount = 0;
+        this._allowance = 0;
+        this._interval = undefined;
+        this._stream = undefined;
+    }
+
+    start() {
+        this._stream = fs.createReadStream(this._filePath, { encoding: 'utf8' });
+        this._stream.on('data', (chunk) => {
+            const lines = (this._partialLine + chunk).split('\n');
+            this._partialLine = lines.pop();
+            lines.forEach(line => this._bufferLine(line));
+            if (this._lines.length >= MAX_BUFFERED_LINES) {
+                this._stream.pause();
+            }
+        });
+        this._stream.on('end', () => {
+            this._bufferLine(this._partialLine);
+            this._partialLine = '';
+            this._ended = true;
+        });
+        this._stream.on('error', (e) => {
+            this._log('error/file_source', {
+                message: 'Failed to read the input file',
+                file: this._filePath,
+                description: `${e}`
+            });
+            this._ended = true;
+        });
+        this._interval = setInterval(() => this._feed(), FEED_INTERVAL);
+    }
+
+    _bufferLine(line) {
+        line = line.trim();
+        if (line) {
+            this._lines.push(line);
+        }
+    }
+
+    _feed() {
+        let batchSize = MAX_FEED_BATCH;
+        if (this._rate) {
+            // Carry the fractional part over to support rates below 10 events per second
+            this._allowance += this._rate * FEED_INTERVAL / 1000;
+            batchSize = Math.floor(this._allowance);
+            this._allowance -= batchSize;
+        }
+        // The fed events stay in the topic until the rules commit them,
+        // so don't feed more while they lag behind
+        batchSize = Math.min(batchSize, this._maxBacklog - this._backlog(this._topic));
+        this._lines.splice(0, batchSize).forEach((line) => {
+            this._append(this._topic, Buffer.from(line));
+            this._fedCount++;
+        });
+        if (this._stream.isPaused() && this._lines.length < MAX_BUFFERED_LINES / 2) {
+            this._stream.resume();
+        }
+        if (this._ended && !this._lines.length) {
+            this.stop();
+            this._log('info/file_source', {
+                message: 'Finished reading the input file',
+                file: this._filePath,
+                topic: this._topic,
+                events: this._fedCount
+            });
+        }
+    }
+
+    _log(level, info) {
+        if (this._logger) {
+            this._logger.log(level, info);
+        }
+    }
+
+    stop() {
+        clearInterval(this._interval);
+        if (this._stream) {
+            this._stream.destroy();
+        }
+    }
+}
+
+/**
+ * Writes every produced event to a per-stream NDJSON file, in addition
+ * to producing it to the in-memory topic so that it's processed further.
+ */
+class NdjsonFileProducer {
+    constructor(producer, outputDir, produceDC) {
+        this._producer = producer;
+        this._outputDir = outputDir;
+        this._produceDC = produceDC;
+        this._streams = new Map();
+    }
+
+    _getOutputStream(topic) {
+        if (!this._streams.has(topic)) {
+            const stream = topic.startsWith(`${this._produceDC}.`) ?
+                topic.substring(this._produceDC.length + 1) : topic;
+            this._streams.set(topic, fs.createWriteStream(
+                path.join(this._outputDir, `${stream}.ndjson`), { flags: 'a' }));
+        }
+        return this._streams.get(topic);
+    }
+
+    produce(topic, partition, message, key, timestamp, opaque, headers) {
+        return this._producer.produce(topic, partition, message, key, timestamp, opaque, headers)
+        .tap(() => this._getOutputStream(topic).write(`${message.toString()}\n`));
+    }
+
+    disconnect(cb) {
+        P.each(Array.from(this._streams.values()), stream =>
+            new P(resolve => stream.end(resolve)))
+        .then(() => this._producer.disconnect(cb));
+    }
+}
+
+/**
+ * A queue backend for offline reprocessing. Events are read from NDJSON
+ * files into in-memory topics, and everything produced is written to
+ * per-stream NDJSON files in the output directory.
+ */
+class FileKafkaFactory extends MemoryKafkaFactory {
+    /**
+     * @param {Object} options
+     * @param {Object} options.file file backend configuration
+     * @param {Object} options.file.inputs input file paths keyed by stream name.
+     *                 A stream could have a single path or an array of paths.
+     * @param {string} options.file.output_dir the directory to write produced events to
+     * @param {number} [options.file.rate] the maximum number of events per second
+     *                 to feed from each input file, unlimited by default
+     * @param {number} [options.file.max_backlog] the number of the events of a stream not yet
+     *                 committed by the rules to pause the feeding of its input files at
+     */
+    constructor(options) {
+        const fileOptions = options.file || {};
+        if (!fileOptions.inputs || !fileOptions.output_dir) {
+            throw new Error('inputs and output_dir are required for the file queue backend');
+        }
+        // Start consuming from the beginning of the topics so that no input events
+        // are lost if they are fed before the rules subscribe.
+        super(Object.assign({}, options, {
+            memory: Object.assign({ offset_reset: 'earliest' }, options.memory)
+        }));
+
+        this._outputDir = path.resolve(fileOptions.output_dir);
+        fs.mkdirSync(this._outputDir, { recursive: true });
+
+        this._sources = [];
+        Object.keys(fileOptions.inputs).forEach((stream) => {
+            [].concat(fileOptions.inputs[stream]).forEach((filePath) => {
+                this._sources.push(new NdjsonFileSource(
+                    path.resolve(filePath),
+                    `${this.consumeDC}.${stream}`,
+                    (topic, value) => this._broker.append(topic, null, value),
+                    topic => this._broker.getRetainedCount(topic),
+                    fileOptions,
+                    options.logger
+                ));
+            });
+        });
+        this._sources.forEach(source => source.start());
+    }
+
+    createProducer() {
+        return super.createProducer()
+        .then(producer => new NdjsonFileProducer(producer, this._outputDir, this.produceDC));
+    }
+}
+
+module.exports = FileKafkaFactory;
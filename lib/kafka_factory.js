@@ -4,6 +4,9 @@ const kafka = require('node-rdkafka');
 const P = require('bluebird');
 const EventEmitter = require('events').EventEmitter;
 
+const MemoryKafkaFactory = require('./memory_kafka_factory');
+const FileKafkaFactory = require('./file_kafka_factory');
+
 const CONSUMER_DEFAULTS = {
     // We don't want the driver to commit automatically the offset of just read message,
     // we will handle offsets manually.
@@ -52,14 +55,15 @@ class GuaranteedProducer extends kafka.Producer {
     /**
      * @inheritdoc
      */
-    produce(topic, partition, message, key) {
+    produce(topic, partition, message, key, timestamp, opaque, headers) {
         return new P((resolve, reject) => {
             const report = {
                 resolver: resolve,
                 rejecter: reject
             };
             try {
-                const result = super.produce(topic, partition, message, key, undefined, report);
+                const result = super.produce(topic, partition, message, key, timestamp, report,
+                    headers);
                 if (result !== true) {
                     process.nextTick(() => {
                         reject(result);
@@ -99,10 +103,11 @@ class AutopollingProducer extends kafka.Producer {
     /**
      * @inheritdoc
      */
-    produce(topic, partition, message, key) {
+    produce(topic, partition, message, key, timestamp, opaque, headers) {
         return new P((resolve, reject) => {
             try {
-                const result = super.produce(topic, partition, message, key);
+                const result = super.produce(topic, partition, message, key, timestamp, opaque,
+                    headers);
                 if (result !== true) {
                     return reject(result);
                 }
@@ -245,6 +250,9 @@ class KafkaFactory {
         const conf = Object.assign({}, this._consumerConf);
         conf['group.id'] = groupId;
         conf['client.id'] = `${Math.floor(Math.random() * 1000000)}`;
+        // The client emits the 'rebalance' event before it assigns or unassigns the
+        // partitions, so the executor commits the offsets of the revoked partitions first
+        conf.rebalance_cb = true;
 
         return new P((resolve, reject) => {
             const consumer = new kafka.KafkaConsumer(conf, this._consumerTopicConf);
@@ -258,6 +266,29 @@ class KafkaFactory {
         });
     }
 
+    /**
+     * Create new KafkaConsumer and connect it without subscribing to any topics.
+     * The partitions to consume from must be assigned manually.
+     *
+     * @param {string} groupId Consumer group ID to use
+     * @return {Object} kafka consumer
+     */
+    createAssignableConsumer(groupId) {
+        const conf = Object.assign({}, this._consumerConf);
+        conf['group.id'] = groupId;
+        conf['client.id'] = `${Math.floor(Math.random() * 1000000)}`;
+
+        return new P((resolve, reject) => {
+            const consumer = new kafka.KafkaConsumer(conf, this._consumerTopicConf);
+            consumer.connect(undefined, (err) => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve(P.promisifyAll(consumer));
+            });
+        });
+    }
+
     createMetadataWatch(groupId) {
         const conf = Object.assign({}, this._consumerConf);
         conf['group.id'] = groupId;
@@ -316,9 +347,28 @@ module.exports = {
         }
         GLOBAL_FACTORY = factory;
     },
+    /**
+     * Returns the factory for the backend configured by the 'backend' option:
+     * 'kafka' (default), 'memory' or 'file'.
+     *
+     * @param {Object} options the kafka module options
+     * @return {KafkaFactory|MemoryKafkaFactory|FileKafkaFactory}
+     */
     getFactory: (options) => {
         if (!GLOBAL_FACTORY) {
-            GLOBAL_FACTORY = new KafkaFactory(options);
+            switch (options.backend || 'kafka') {
+                case 'kafka':
+                    GLOBAL_FACTORY = new KafkaFactory(options);
+                    break;
+                case 'memory':
+                    GLOBAL_FACTORY = new MemoryKafkaFactory(options);
+                    break;
+                case 'file':
+                    GLOBAL_FACTORY = new FileKafkaFactory(options);
+                    break;
+                default:
+                    throw new Error(`Unknown queue backend ${options.backend}`);
+            }
         }
         return GLOBAL_FACTORY;
     }
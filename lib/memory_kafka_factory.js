@@ -0,0 +1,570 @@
+'use strict';
+
+const P = require('bluebird');
+const EventEmitter = require('events').EventEmitter;
+const kafka = require('node-rdkafka');
+const murmur = require('murmurhash');
+
+/**
+ * The default number of partitions for topics created on first use
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_PARTITION_COUNT = 1;
+
+/**
+ * The default interval to check for new topics in the metadata watch
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_METADATA_REFRESH_INTERVAL = 10000;
+
+/**
+ * Stores topics, partitions, messages and consumer group state in memory.
+ * All the consumers and producers created by a single factory share the broker.
+ *
+ * The messages committed by all the groups consuming a partition are dropped, and so are
+ * the oldest messages over the optional retention.max_messages, so the partitions don't
+ * grow forever. Like in Kafka, the consumers behind the dropped messages skip to the
+ * oldest one retained.
+ */
+class MemoryBroker {
+    constructor(options) {
+        this._defaultPartitionCount = options.partitions || DEFAULT_PARTITION_COUNT;
+        this._offsetReset = options.offset_reset || 'latest';
+        this._maxMessages = (options.retention || {}).max_messages;
+        // The offset of the oldest retained message and the retained messages
+        // of every partition, keyed by topic name
+        this._topics = new Map();
+        // Committed offsets and members, keyed by group ID
+        this._groups = new Map();
+        this._roundRobinCounter = 0;
+        Object.keys(options.topics || {}).forEach((topic) => {
+            this.createTopic(topic, options.topics[topic]);
+        });
+    }
+
+    createTopic(topic, partitionCount) {
+        if (!this._topics.has(topic)) {
+            const partitions = [];
+            for (let idx = 0; idx < (partitionCount || this._defaultPartitionCount); idx++) {
+                partitions.push({ lowOffset: 0, messages: [] });
+            }
+            this._topics.set(topic, partitions);
+        }
+        return this._topics.get(topic);
+    }
+
+    getTopicNames() {
+        return Array.from(this._topics.keys());
+    }
+
+    getPartitionCount(topic) {
+        return this._topics.has(topic) ? this._topics.get(topic).length : 0;
+    }
+
+    _getPartition(topic, partition) {
+        const partitions = this._topics.get(topic);
+        return partitions && partitions[partition] || { lowOffset: 0, messages: [] };
+    }
+
+    /**
+     * Returns the retained messages of the partition, starting from the low offset
+     *
+     * @param {string} topic
+     * @param {number} partition
+     * @return {Array}
+     */
+    getMessages(topic, partition) {
+        return this._getPartition(topic, partition).messages;
+    }
+
+    /**
+     * Returns the offset of the oldest retained message of the partition
+     *
+     * @param {string} topic
+     * @param {number} partition
+     * @return {number}
+     */
+    getLowOffset(topic, partition) {
+        return this._getPartition(topic, partition).lowOffset;
+    }
+
+    /**
+     * Returns the offset of the next message appended to the partition
+     *
+     * @param {string} topic
+     * @param {number} partition
+     * @return {number}
+     */
+    getHighOffset(topic, partition) {
+        const { lowOffset, messages } = this._getPartition(topic, partition);
+        return lowOffset + messages.length;
+    }
+
+    append(topic, partition, value, key, headers) {
+        const partitions = this.createTopic(topic);
+        if (partition === null || partition === undefined || partition < 0) {
+            if (key !== null && key !== undefined) {
+                partition = murmur(key.toString()) % partitions.length;
+            } else {
+                partition = this._roundRobinCounter++ % partitions.length;
+            }
+        }
+        if (partition >= partitions.length) {
+            throw new Error(`Partition ${partition} does not exist in topic ${topic}`);
+        }
+        const message = {
+            topic,
+            partition,
+            offset: this.getHighOffset(topic, partition),
+            value,
+            key,
+            size: value ? value.length : 0,
+            timestamp: Date.now()
+        };
+        if (headers) {
+            message.headers = headers;
+        }
+        partitions[partition].messages.push(message);
+        this._trim(topic, partition);
+        return message;
+    }
+
+    /**
+     * Returns the number of the messages retained in all the partitions of the topic
+     *
+     * @param {string} topic
+     * @return {number}
+     */
+    getRetainedCount(topic) {
+        return (this._topics.get(topic) || [])
+        .reduce((count, retained) => count + retained.messages.length, 0);
+    }
+
+    /**
+     * Returns the lowest offset committed by the groups consuming the topic, or undefined
+     * if no group consumes it. The groups that haven't committed yet keep all the messages.
+     *
+     * @param {string} topic
+     * @param {number} partition
+     * @return {number|undefined}
+     * @private
+     */
+    _lowestCommitted(topic, partition) {
+        let lowest;
+        this._groups.forEach((group) => {
+            if (!group.members.some(member => member.subscription.includes(topic))) {
+                return;
+            }
+            const committed = group.committed.get(`${topic}/${partition}`) || 0;
+            lowest = lowest === undefined ? committed : Math.min(lowest, committed);
+        });
+        return lowest;
+    }
+
+    /**
+     * Drops the messages committed by all the groups consuming the partition
+     * and the oldest messages over the retention.max_messages
+     *
+     * @param {string} topic
+     * @param {number} partition
+     * @private
+     */
+    _trim(topic, partition) {
+        const retained = this._getPartition(topic, partition);
+        let lowOffset = this._lowestCommitted(topic, partition) || retained.lowOffset;
+        if (this._maxMessages) {
+            lowOffset = Math.max(lowOffset,
+                this.getHighOffset(topic, partition) - this._maxMessages);
+        }
+        if (lowOffset > retained.lowOffset) {
+            retained.messages.splice(0, lowOffset - retained.lowOffset);
+            retained.lowOffset = lowOffset;
+        }
+    }
+
+    _getGroup(groupId) {
+        if (!this._groups.has(groupId)) {
+            this._groups.set(groupId, {
+                committed: new Map(),
+                members: []
+            });
+        }
+        return this._groups.get(groupId);
+    }
+
+    getCommitted(groupId, topic, partition) {
+        return this._getGroup(groupId).committed.get(`${topic}/${partition}`);
+    }
+
+    commit(groupId, topic, partition, offset) {
+        this._getGroup(groupId).committed.set(`${topic}/${partition}`, offset);
+        this._trim(topic, partition);
+    }
+
+    /**
+     * Returns the offset a consumer starts from when the group has nothing committed
+     *
+     * @param {string} topic
+     * @param {number} partition
+     * @return {number}
+     */
+    getResetOffset(topic, partition) {
+        return this._offsetReset === 'earliest' ? this.getLowOffset(topic, partition) :
+            this.getHighOffset(topic, partition);
+    }
+
+    join(consumer) {
+        // Like Kafka with automatic topic creation, create the topics on subscription,
+        // so that no messages are skipped when the topic is created by the first produce.
+        consumer.subscription.forEach(topic => this.createTopic(topic));
+        const group = this._getGroup(consumer.groupId);
+        group.members.push(consumer);
+        this._rebalance(group);
+    }
+
+    leave(consumer) {
+        const group = this._getGroup(consumer.groupId);
+        group.members = group.members.filter(member => member !== consumer);
+        this._rebalance(group);
+    }
+
+    /**
+     * Distributes partitions of every topic between the group members
+     * subscribed to that topic in a round-robin manner.
+     *
+     * @param {Object} group the consumer group
+     * @private
+     */
+    _rebalance(group) {
+        const assignments = new Map(group.members.map(member => [ member, [] ]));
+        const topics = new Set([].concat(...group.members.map(member => member.subscription)));
+        topics.forEach((topic) => {
+            const subscribers = group.members
+            .filter(member => member.subscription.includes(topic));
+            for (let partition = 0; partition < this.getPartitionCount(topic); partition++) {
+                assignments.get(subscribers[partition % subscribers.length])
+                .push({ topic, partition });
+            }
+        });
+        assignments.forEach((toppars, member) => member.setAssignment(toppars));
+    }
+}
+
+class MemoryProducer {
+    constructor(broker) {
+        this._broker = broker;
+    }
+
+    produce(topic, partition, message, key, timestamp, opaque, headers) {
+        return P.try(() => {
+            const result = this._broker.append(topic, partition, message, key, headers);
+            return {
+                topic: result.topic,
+                partition: result.partition,
+                offset: result.offset,
+                key: result.key,
+                opaque
+            };
+        });
+    }
+
+    disconnect(cb) {
+        if (cb) {
+            process.nextTick(cb);
+        }
+    }
+}
+
+class MemoryConsumer extends EventEmitter {
+    constructor(broker, groupId, topics) {
+        super();
+        this._broker = broker;
+        this.groupId = groupId;
+        this.subscription = topics || [];
+        // Next offsets to consume, keyed by topic and partition
+        this._positions = new Map();
+        this._assignment = [];
+        this._paused = new Set();
+        this._connected = true;
+        if (this.subscription.length) {
+            this._broker.join(this);
+        }
+    }
+
+    setAssignment(toppars) {
+        // Like the eager rebalance protocol, revoke all the partitions and assign the new ones
+        if (this._assignment.length) {
+            const err = new Error('Local: Revoke partitions');
+            err.code = kafka.CODES.ERRORS.ERR__REVOKE_PARTITIONS;
+            this.emit('rebalance', err, this._assignment);
+        }
+        this._assignment = toppars;
+        const positions = new Map();
+        toppars.forEach((toppar) => {
+            const key = `${toppar.topic}/${toppar.partition}`;
+            if (this._positions.has(key)) {
+                positions.set(key, this._positions.get(key));
+            } else {
+                const committed = this._broker.getCommitted(this.groupId,
+                    toppar.topic, toppar.partition);
+                positions.set(key, committed !== undefined ? committed :
+                    this._broker.getResetOffset(toppar.topic, toppar.partition));
+            }
+        });
+        this._positions = positions;
+        if (toppars.length) {
+            const err = new Error('Local: Assign partitions');
+            err.code = kafka.CODES.ERRORS.ERR__ASSIGN_PARTITIONS;
+            this.emit('rebalance', err, toppars);
+        }
+    }
+
+    assign(toppars) {
+        this._assignment = toppars.map(toppar => ({
+            topic: toppar.topic,
+            partition: toppar.partition
+        }));
+        this._positions = new Map(toppars.map(toppar => [
+            `${toppar.topic}/${toppar.partition}`,
+            toppar.offset >= 0 ? toppar.offset :
+                this._broker.getResetOffset(toppar.topic, toppar.partition)
+        ]));
+    }
+
+    assignments() {
+        return this._assignment.slice();
+    }
+
+    pause(toppars) {
+        toppars.forEach(toppar => this._paused.add(`${toppar.topic}/${toppar.partition}`));
+    }
+
+    resume(toppars) {
+        toppars.forEach(toppar => this._paused.delete(`${toppar.topic}/${toppar.partition}`));
+    }
+
+    consume(number, cb) {
+        if (!this._connected) {
+            const e = new Error('KafkaConsumer is not connected');
+            e.code = kafka.CODES.ERRORS.ERR__STATE;
+            return process.nextTick(() => cb(e));
+        }
+        const result = [];
+        for (const toppar of this._assignment) {
+            const key = `${toppar.topic}/${toppar.partition}`;
+            if (this._paused.has(key)) {
+                continue;
+            }
+            const messages = this._broker.getMessages(toppar.topic, toppar.partition);
+            const lowOffset = this._broker.getLowOffset(toppar.topic, toppar.partition);
+            // Skip the messages dropped by the retention
+            let position = Math.max(this._positions.get(key), lowOffset);
+            while (result.length < number && position < lowOffset + messages.length) {
+                // Copy the message, executors set properties on it
+                result.push(Object.assign({}, messages[position - lowOffset]));
+                position++;
+            }
+            this._positions.set(key, position);
+            if (result.length >= number) {
+                break;
+            }
+        }
+        process.nextTick(() => cb(null, result));
+    }
+
+    commitMessage(message, cb) {
+        this._broker.commit(this.groupId, message.topic, message.partition, message.offset + 1);
+        if (cb) {
+            process.nextTick(() => cb(null));
+        }
+    }
+
+    commitMessageSync(message) {
+        this._broker.commit(this.groupId, message.topic, message.partition, message.offset + 1);
+        return this;
+    }
+
+    committed(toppars, timeout, cb) {
+        const result = (toppars || this._assignment).map((toppar) => {
+            const committed = this._broker.getCommitted(this.groupId,
+                toppar.topic, toppar.partition);
+            return {
+                topic: toppar.topic,
+                partition: toppar.partition,
+                // Same as librdkafka RD_KAFKA_OFFSET_INVALID
+                offset: committed !== undefined ? committed : -1001
+            };
+        });
+        process.nextTick(() => cb(null, result));
+    }
+
+    queryWatermarkOffsets(topic, partition, timeout, cb) {
+        const lowOffset = this._broker.getLowOffset(topic, partition);
+        const highOffset = this._broker.getHighOffset(topic, partition);
+        process.nextTick(() => cb(null, { lowOffset, highOffset }));
+    }
+
+    offsetsForTimes(toppars, timeout, cb) {
+        const result = toppars.map((toppar) => {
+            const message = this._broker.getMessages(toppar.topic, toppar.partition)
+            .find(message => message.timestamp >= toppar.offset);
+            return {
+                topic: toppar.topic,
+                partition: toppar.partition,
+                offset: message ? message.offset : -1
+            };
+        });
+        process.nextTick(() => cb(null, result));
+    }
+
+    getMetadata(options, cb) {
+        const topics = options && options.topic ? [ options.topic ] :
+            this._broker.getTopicNames();
+        const result = {
+            topics: topics.map(name => ({
+                name,
+                partitions: Array.from(
+                    { length: this._broker.getPartitionCount(name) },
+                    (_, id) => ({ id })
+                )
+            }))
+        };
+        process.nextTick(() => cb(null, result));
+    }
+
+    disconnect(cb) {
+        if (this._connected) {
+            this._connected = false;
+            if (this.subscription.length) {
+                this._broker.leave(this);
+            }
+        }
+        if (cb) {
+            process.nextTick(() => cb(null));
+        }
+    }
+}
+
+class MemoryMetadataWatch extends EventEmitter {
+    constructor(broker, consumeDC, refreshInterval) {
+        super();
+        this._broker = broker;
+        this._consumeDC = consumeDC;
+        this._refreshInterval = refreshInterval;
+        this._knownTopics = [];
+        this._interval = undefined;
+    }
+
+    _setup() {
+        return this.getTopics()
+        .then((topics) => {
+            this._knownTopics = topics;
+            this._interval = setInterval(() => {
+                this.getTopics()
+                .then((topics) => {
+                    if (topics.some(topic => !this._knownTopics.includes(topic))) {
+                        this.emit('topics_changed', topics);
+                    }
+                    this._knownTopics = topics;
+                });
+            }, this._refreshInterval);
+        })
+        .thenReturn(this);
+    }
+
+    getTopics() {
+        const prefix = `${this._consumeDC}.`;
+        return P.resolve(this._broker.getTopicNames()
+        .filter(topic => topic.startsWith(prefix))
+        .map(topic => topic.substring(prefix.length)));
+    }
+
+    disconnect() {
+        if (this._interval) {
+            clearInterval(this._interval);
+        }
+    }
+}
+
+/**
+ * A drop-in replacement of the KafkaFactory keeping all the topics in memory
+ * of the current process. Useful for running change-prop locally and in CI
+ * without a Kafka broker. Since the data is not shared between processes,
+ * it should only be used with a single worker.
+ */
+class MemoryKafkaFactory {
+    /**
+     * @param {Object} options
+     * @param {string} [options.consume_dc] a DC name to consume from
+     * @param {string} [options.produce_dc] a DC name to produce to
+     * @param {string} [options.dc_name] a DC name to consume from and produce to
+     * @param {Object} [options.memory] in-memory backend configuration
+     * @param {number} [options.memory.partitions] the number of partitions for new topics
+     * @param {Object} [options.memory.topics] topics to create upfront with partition counts
+     * @param {string} [options.memory.offset_reset] where to start consuming if the group
+     *                 has no committed offset: 'latest' (default) or 'earliest'
+     * @param {number} [options.memory.metadata_refresh_interval] how often to check for new topics
+     * @param {Object} [options.memory.retention] the retention of the messages
+     * @param {number} [options.memory.retention.max_messages] the maximum number of the messages
+     *                 retained per partition, unlimited by default
+     */
+    constructor(options) {
+        this._options = options;
+        this._memoryOptions = options.memory || {};
+        this._broker = new MemoryBroker(this._memoryOptions);
+        this.startup_delay = options.startup_delay || 0;
+    }
+
+    /**
+     * Returns a DC name to consume from
+     *
+     * @return {string}
+     */
+    get consumeDC() {
+        return this._options.dc_name || this._options.consume_dc || 'datacenter1';
+    }
+
+    /**
+     * Returns a DC name to produce to
+     *
+     * @return {string}
+     */
+    get produceDC() {
+        return this._options.dc_name || this._options.produce_dc || 'datacenter1';
+    }
+
+    /**
+     * Create new consumer subscribed to topics.
+     *
+     * @param {string} groupId Consumer group ID to use
+     * @param {Array} topics Topics to subscribe to
+     * @return {Object} consumer
+     */
+    createConsumer(groupId, topics) {
+        return P.resolve(P.promisifyAll(new MemoryConsumer(this._broker, groupId, topics)));
+    }
+
+    createAssignableConsumer(groupId) {
+        return P.resolve(P.promisifyAll(new MemoryConsumer(this._broker, groupId)));
+    }
+
+    createMetadataWatch() {
+        return new MemoryMetadataWatch(this._broker, this.consumeDC,
+            this._memoryOptions.metadata_refresh_interval || DEFAULT_METADATA_REFRESH_INTERVAL)
+        ._setup();
+    }
+
+    createProducer() {
+        return P.resolve(new MemoryProducer(this._broker));
+    }
+
+    createGuaranteedProducer() {
+        return this.createProducer();
+    }
+}
+
+module.exports = MemoryKafkaFactory;
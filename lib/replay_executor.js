@@ -0,0 +1,305 @@
+'use strict';
+
+const P = require('bluebird');
+
+const RuleExecutor = require('./rule_executor');
+
+/**
+ * The interval to check whether all the messages in the range were processed
+ *
+ * @const
+ * @type {number}
+ */
+const COMPLETION_CHECK_INTERVAL = 1000;
+
+/**
+ * The timeout for the metadata and offset queries made to set up the replay
+ *
+ * @const
+ * @type {number}
+ */
+const QUERY_TIMEOUT = 10000;
+
+/**
+ * Finds an offset for a topic partition in a list returned by the consumer.
+ *
+ * @param {Array} toppars the list of topic partitions with offsets
+ * @param {Object} toppar the topic partition to look for
+ * @return {number|undefined}
+ */
+function _findOffset(toppars, toppar) {
+    const result = toppars.find(item =>
+        item.topic === toppar.topic && item.partition === toppar.partition);
+    return result && result.offset;
+}
+
+/**
+ * An executor re-running a rule over a range of past messages. It uses its own
+ * consumer group with manually assigned partitions, so the production consumers
+ * are not disturbed. Once all the messages in the range are processed, the
+ * executor stops.
+ */
+class ReplayExecutor extends RuleExecutor {
+    /**
+     * Creates a new instance of a replay executor
+     *
+     * @param {Rule} rule
+     * @param {KafkaFactory} kafkaFactory
+     * @param {Object} hyper
+     * @param {Object} options
+     * @param {Object} range the range of messages to replay
+     * @param {string} range.id the ID of the replay
+     * @param {string} [range.start] the timestamp to replay from
+     * @param {string} [range.end] the timestamp to replay until, now by default
+     * @param {Array} [range.partitions] explicit offset ranges to replay instead of timestamps,
+     *                each item has topic, partition, start_offset and end_offset properties.
+     * @param {Object} [shared] the state shared with the executors of the rule
+     * @class
+     */
+    constructor(rule, kafkaFactory, hyper, options, range, shared) {
+        super(rule, kafkaFactory, hyper, options, shared);
+        this.id = range.id;
+        this._range = range;
+        // Offset ranges to replay, keyed by topic and partition
+        this._partitions = new Map();
+        this._state = 'created';
+        this._consumedCount = 0;
+        this._matchedCount = 0;
+        this._startedAt = undefined;
+        this._finishedAt = undefined;
+        this._error = undefined;
+        this._completionCheck = undefined;
+    }
+
+    get consumerGroup() {
+        return `${super.consumerGroup}-replay-${this.id}`;
+    }
+
+    get executorStatName() {
+        return this._hyper.metrics.normalizeName(`${this.rule.name}_replay`);
+    }
+
+    subscribe() {
+        this._state = 'starting';
+        this._startedAt = new Date();
+        return this.kafkaFactory.createAssignableConsumer(this.consumerGroup)
+        .then((consumer) => {
+            this.consumer = consumer;
+            return this._resolveOffsetRanges();
+        })
+        .then((ranges) => {
+            ranges.forEach((range) => {
+                this._partitions.set(RuleExecutor._partitionKey(range), range);
+            });
+            const toAssign = ranges.filter(range => range.start_offset < range.end_offset);
+            this._logger.log('info/replay', {
+                message: 'Starting replay',
+                replay_id: this.id,
+                partitions: ranges
+            });
+            this._connected = true;
+            if (!toAssign.length) {
+                return this._finish('finished');
+            }
+            this._state = 'running';
+            this.consumer.assign(toAssign.map(range => ({
+                topic: range.topic,
+                partition: range.partition,
+                offset: range.start_offset
+            })));
+            this._completionCheck = setInterval(() => this._checkCompletion(),
+                COMPLETION_CHECK_INTERVAL);
+            this._consume();
+        })
+        .catch((e) => {
+            this._error = `${e}`;
+            return this._finish('failed')
+            .then(() => {
+                throw e;
+            });
+        });
+    }
+
+    /**
+     * Converts the requested range into offset ranges for every partition
+     * of every topic the rule is subscribed to.
+     *
+     * @return {Promise<Array>}
+     * @private
+     */
+    _resolveOffsetRanges() {
+        if (this._range.partitions) {
+            return P.resolve(this._range.partitions.map(range => ({
+                topic: range.topic,
+                partition: range.partition,
+                start_offset: range.start_offset,
+                end_offset: range.end_offset,
+                position: range.start_offset
+            })));
+        }
+
+        const start = Date.parse(this._range.start);
+        const end = this._range.end ? Date.parse(this._range.end) : undefined;
+        return P.map(this.subscribeTopics, topic =>
+            this.consumer.getMetadataAsync({ topic, timeout: QUERY_TIMEOUT })
+            .then((metadata) => {
+                const topicInfo = metadata.topics.find(info => info.name === topic);
+                return topicInfo ? topicInfo.partitions.map(partitionInfo => ({
+                    topic,
+                    partition: partitionInfo.id
+                })) : [];
+            }))
+        .then(toppars => [].concat(...toppars))
+        .then(toppars => P.join(
+            this.consumer.offsetsForTimesAsync(toppars.map(toppar =>
+                Object.assign({ offset: start }, toppar)), QUERY_TIMEOUT),
+            end && this.consumer.offsetsForTimesAsync(toppars.map(toppar =>
+                Object.assign({ offset: end }, toppar)), QUERY_TIMEOUT),
+            P.map(toppars, toppar => this.consumer.queryWatermarkOffsetsAsync(
+                toppar.topic, toppar.partition, QUERY_TIMEOUT))
+        )
+        .spread((startOffsets, endOffsets, watermarks) => toppars.map((toppar, index) => {
+            // The offset is negative when there are no messages after the timestamp.
+            const highWatermark = watermarks[index].highOffset;
+            const startOffset = _findOffset(startOffsets, toppar);
+            const endOffset = endOffsets && _findOffset(endOffsets, toppar);
+            const range = {
+                topic: toppar.topic,
+                partition: toppar.partition,
+                start_offset: startOffset >= 0 ? startOffset : highWatermark,
+                end_offset: endOffset >= 0 ? Math.min(endOffset, highWatermark) : highWatermark
+            };
+            range.position = range.start_offset;
+            return range;
+        })));
+    }
+
+    _shouldConsume(msg) {
+        const range = this._partitions.get(RuleExecutor._partitionKey(msg));
+        if (!range || range.done || msg.offset >= range.end_offset) {
+            if (range) {
+                this._markDone(range);
+            }
+            return false;
+        }
+        this._consumedCount++;
+        range.position = msg.offset + 1;
+        if (range.position >= range.end_offset) {
+            this._markDone(range);
+        }
+        return true;
+    }
+
+    /**
+     * Keeps the partitions with all the range replayed paused
+     *
+     * @return {Array}
+     * @protected
+     */
+    _resumablePartitions() {
+        return super._resumablePartitions()
+        .filter((toppar) => {
+            const range = this._partitions.get(RuleExecutor._partitionKey(toppar));
+            return !range || !range.done;
+        });
+    }
+
+    _markDone(range) {
+        if (range.done) {
+            return;
+        }
+        range.done = true;
+        try {
+            this.consumer.pause([ { topic: range.topic, partition: range.partition } ]);
+        } catch (e) {
+            this._logger.log('warn/replay', {
+                message: 'Failed to pause a replayed partition',
+                replay_id: this.id,
+                topic: range.topic,
+                partition: range.partition,
+                description: `${e}`
+            });
+        }
+    }
+
+    _checkCompletion() {
+        const allDone = Array.from(this._partitions.values())
+        .every(range => range.done || range.start_offset >= range.end_offset);
+        if (allDone && !this._pendingMsgs.size) {
+            return this._finish('finished');
+        }
+    }
+
+    _finish(state) {
+        if (this._finishedAt) {
+            return P.resolve();
+        }
+        clearInterval(this._completionCheck);
+        this._state = state;
+        this._finishedAt = new Date();
+        this._logger.log(state === 'failed' ? 'error/replay' : 'info/replay', () => ({
+            message: 'Replay stopped',
+            replay: this.describe()
+        }));
+        if (!this.consumer) {
+            clearInterval(this._selfCheck);
+            return P.resolve();
+        }
+        return P.resolve(this.close())
+        .catch(e => this._logger.log('error/replay', {
+            message: 'Failed to disconnect the replay consumer',
+            replay_id: this.id,
+            description: `${e}`
+        }));
+    }
+
+    /**
+     * The time the replay stopped, or undefined if it's still running
+     *
+     * @return {Date|undefined}
+     */
+    get finishedAt() {
+        return this._finishedAt;
+    }
+
+    /**
+     * Stops the replay before all the messages in the range are processed
+     *
+     * @return {Promise}
+     */
+    cancel() {
+        return this._finish('cancelled');
+    }
+
+    getHandler(message) {
+        const handler = super.getHandler(message);
+        if (handler) {
+            this._matchedCount++;
+        }
+        return handler;
+    }
+
+    // The messages were most likely executed already, so don't deduplicate them
+    _dedupeMessage(expander) {
+        return P.resolve(false);
+    }
+
+    describe() {
+        return Object.assign(super.describe(), {
+            id: this.id,
+            rule: this.rule.name,
+            state: this._state,
+            start: this._range.start,
+            end: this._range.end,
+            started_at: this._startedAt && this._startedAt.toISOString(),
+            finished_at: this._finishedAt && this._finishedAt.toISOString(),
+            consumed: this._consumedCount,
+            matched: this._matchedCount,
+            pending_messages: this._pendingMsgs.size,
+            partitions: Array.from(this._partitions.values()),
+            error: this._error
+        });
+    }
+}
+
+module.exports = ReplayExecutor;
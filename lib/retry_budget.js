@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * The default options of the retry budgets
+ *
+ * @const
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+    ratio: 0.1,
+    window: 60000,
+    min_retries: 10,
+    on_exhausted: 'fail',
+    delay: 600000
+};
+
+/**
+ * The number of buckets the window is split into
+ *
+ * @const
+ * @type {number}
+ */
+const BUCKET_COUNT = 10;
+
+/**
+ * Limits the retries of a rule to a share of the first attempts within a sliding window,
+ * so that the retries could not multiply the traffic against a failing target. A number of
+ * retries within the window is always allowed, so that a low-volume rule could still retry.
+ */
+class RetryBudget {
+    /**
+     * @param {string} ruleName the name of the rule
+     * @param {Object} options
+     * @param {number} [options.ratio] the maximum ratio of retries to first attempts
+     * @param {number} [options.window] the length of the sliding window in ms
+     * @param {number} [options.min_retries] the number of retries within the window
+     *                 allowed regardless of the ratio
+     * @param {string} [options.on_exhausted] what to do with the failures once the budget
+     *                 is exhausted: `fail` them or `delay` their retries
+     * @param {number} [options.delay] the minimum delay of the retries in the `delay` mode, ms
+     * @param {Object} metrics the metrics reporter to use
+     */
+    constructor(ruleName, options, metrics) {
+        this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+        if (![ 'fail', 'delay' ].includes(this._options.on_exhausted)) {
+            throw new Error(`Invalid retry budget on_exhausted ${this._options.on_exhausted}`);
+        }
+        this._metrics = metrics;
+        this._statName = metrics.normalizeName(ruleName);
+        this._bucketSize = this._options.window / BUCKET_COUNT;
+        this._buckets = [];
+        this._exhaustedCount = 0;
+    }
+
+    /**
+     * Creates the retry budget of a rule if it's enabled by the rule or the module options.
+     *
+     * @param {string} ruleName the name of the rule
+     * @param {Object} ruleSpec the rule specification
+     * @param {Object} options the module options
+     * @param {Object} metrics the metrics reporter to use
+     * @return {RetryBudget|undefined}
+     */
+    static forRule(ruleName, ruleSpec, options, metrics) {
+        const budgetOptions = ruleSpec.retry_budget === undefined ?
+            options.retry_budget : ruleSpec.retry_budget;
+        if (!budgetOptions) {
+            return undefined;
+        }
+        const budget = new RetryBudget(ruleName, budgetOptions === true ? {} : budgetOptions,
+            metrics);
+        if (budget.onExhausted === 'delay' && !options.delay_topics) {
+            // Without the delay topics the delayed retries would be held in memory
+            throw new Error('Retry budget on_exhausted delay requires delay_topics ' +
+                `for rule ${ruleName}`);
+        }
+        return budget;
+    }
+
+    /**
+     * What to do with the failures once the budget is exhausted, `fail` or `delay`
+     *
+     * @return {string}
+     */
+    get onExhausted() {
+        return this._options.on_exhausted;
+    }
+
+    /**
+     * The minimum delay of the retries once the budget is exhausted in ms
+     *
+     * @return {number}
+     */
+    get delay() {
+        return this._options.delay;
+    }
+
+    _currentBucket() {
+        const now = Date.now();
+        const start = now - now % this._bucketSize;
+        this._buckets = this._buckets.filter(bucket =>
+            bucket.start > now - this._options.window);
+        let bucket = this._buckets[this._buckets.length - 1];
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, attempts: 0, retries: 0 };
+            this._buckets.push(bucket);
+        }
+        return bucket;
+    }
+
+    _totals() {
+        this._currentBucket();
+        return this._buckets.reduce((totals, bucket) => ({
+            attempts: totals.attempts + bucket.attempts,
+            retries: totals.retries + bucket.retries
+        }), { attempts: 0, retries: 0 });
+    }
+
+    /**
+     * Records a first attempt to execute an event
+     */
+    recordAttempt() {
+        this._currentBucket().attempts++;
+    }
+
+    /**
+     * Checks whether a retry fits into the budget, and records it if it does.
+     *
+     * @return {boolean} true if the retry is allowed
+     */
+    acquire() {
+        const totals = this._totals();
+        const allowed = totals.retries < this._options.min_retries ||
+            totals.retries + 1 <= totals.attempts * this._options.ratio;
+        if (allowed) {
+            this._currentBucket().retries++;
+            totals.retries++;
+        } else {
+            this._exhaustedCount++;
+            this._metrics.increment(`${this._statName}_retry_budget_exhausted`);
+        }
+        this._metrics.gauge(`${this._statName}_retry_ratio`,
+            totals.attempts ? totals.retries / totals.attempts : 0);
+        return allowed;
+    }
+
+    /**
+     * Returns the state of the budget within the window
+     *
+     * @return {Object}
+     */
+    describe() {
+        const totals = this._totals();
+        return {
+            attempts: totals.attempts,
+            retries: totals.retries,
+            ratio: this._options.ratio,
+            exhausted: totals.retries >= this._options.min_retries &&
+                totals.retries + 1 > totals.attempts * this._options.ratio,
+            rejected_retries: this._exhaustedCount
+        };
+    }
+}
+
+module.exports = RetryBudget;
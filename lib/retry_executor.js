@@ -9,8 +9,13 @@ const BaseExecutor = require('./base_executor');
  */
 class RetryExecutor extends BaseExecutor {
     get subscribeTopics() {
-        return this.rule.topics.map(topic =>
-            `${this.kafkaFactory.consumeDC}.${this.retryStreamName(topic)}`);
+        let streams = this.rule.topics.map(topic => this.retryStreamName(topic));
+        if (this.retry_stream === 'migrating') {
+            // Finish the retries still in the shared streams
+            streams = streams.concat(this.rule.topics.map(topic =>
+                this._sharedRetryStreamName(topic)));
+        }
+        return streams.map(stream => `${this.kafkaFactory.consumeDC}.${stream}`);
     }
 
     statName(event) {
@@ -18,21 +23,50 @@ class RetryExecutor extends BaseExecutor {
             `${this.rule.name}-${event.meta.stream.replace(/\./g, '_')}_retry`);
     }
 
+    get executorStatName() {
+        return this._hyper.metrics.normalizeName(`${this.rule.name}_retry`);
+    }
+
     _delay(message) {
-        const spec = this.rule.spec;
-        const absoluteDelay = spec.retry_delay *
-            Math.pow(spec.retry_factor, spec.retry_limit - message.retries_left);
+        // The retries produced by older versions don't carry the delay
+        const absoluteDelay = message.retry_delay !== undefined ? message.retry_delay :
+            this._retryDelay(message.retries_left, { status: message.error_status });
         if (!message.meta.dt || !Date.parse(message.meta.dt)) {
             // No DT on the message, there's nothing we can do
-            return P.delay(absoluteDelay);
+            return this._sleep(absoluteDelay);
+        }
+        let delayFromNow = (Date.parse(message.meta.dt) + absoluteDelay) - Date.now();
+        if (message.delay_until) {
+            // The retry was deferred by the rate-limiting
+            delayFromNow = Math.max(delayFromNow, Date.parse(message.delay_until) - Date.now());
         }
-        const delayFromNow = (Date.parse(message.meta.dt) + absoluteDelay) - Date.now();
         if (delayFromNow > 0) {
-            return P.delay(delayFromNow);
+            return this._sleep(delayFromNow);
         }
         return P.resolve();
     }
 
+    /**
+     * Waits for the retry delay. The waiting retries don't hold the drain, and the ones
+     * waking up after it are left pending, so that their offsets are not committed.
+     *
+     * @param {number} delay the delay in ms
+     * @return {Promise}
+     * @private
+     */
+    _sleep(delay) {
+        this._delayedMsgCount++;
+        return P.delay(delay)
+        .then(() => {
+            if (this._draining) {
+                // The retry stays counted as delayed, so it doesn't hold the drain.
+                // It will be consumed again after the restart.
+                return new P(() => {});
+            }
+            this._delayedMsgCount--;
+        });
+    }
+
     getHandler(message) {
         if (!message) {
             // Don't retry if we can't parse an event, just log.
@@ -55,9 +89,14 @@ class RetryExecutor extends BaseExecutor {
         return this.rule.getHandler(handlerIndex);
     }
 
-    processMessage(message, handler) {
+    orderingKey(message) {
+        return this.rule.getOrderingKey(message.original_event);
+    }
+
+    processMessage(message, handler, messageHeaders) {
         return this._delay(message)
-        .then(() => this._exec(message.original_event, handler, new Date(message.meta.dt), message))
+        .then(() => this._exec(message.original_event, handler, new Date(message.meta.dt),
+            message, messageHeaders))
         .catch((e) => {
             e = BaseExecutor.decodeError(e);
 
@@ -73,7 +112,7 @@ class RetryExecutor extends BaseExecutor {
             if (e.headers && e.headers['x-readonly']) {
                 optionalDelay = P.delay(Math.ceil(30000 + Math.random() * 30000));
             }
-            return optionalDelay.then(() => this._catch(message, retryMessage, e));
+            return optionalDelay.then(() => this._catch(message, retryMessage, e, messageHeaders));
         });
     }
 
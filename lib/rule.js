@@ -10,6 +10,47 @@ const DEFAULT_RETRY_FACTOR = 6;     // Exponential back-off
 const DEFAULT_RETRY_LIMIT = 2;      // At most two retries
 // Set a larger request timeout then RESTBase default 6 minutes;
 const DEFAULT_REQUEST_TIMEOUT = 7 * 60 * 1000;
+const DEFAULT_RATE_LIMIT_DELAY = 60000; // Re-enqueue rate-limited events in a minute
+const RATE_LIMIT_POLICIES = [ 'drop', 'delay', 'retry' ];
+
+/**
+ * Compiles the cost function of a rate limiter. The cost is either a constant,
+ * a template over the event, or the duration or the response size of the execution
+ * in the configured units.
+ *
+ * @param {string} type the limiter type
+ * @param {number|string|Object} costSpec the cost definition
+ * @return {Function} a function taking the expander and the execution stats
+ *                    with duration and size properties, and returning the cost
+ */
+function _compileLimiterCost(type, costSpec) {
+    if (typeof costSpec === 'number') {
+        return () => costSpec;
+    }
+    if (typeof costSpec === 'string') {
+        costSpec = { type: 'template', value: costSpec };
+    }
+    const unit = costSpec.unit || 1;
+    switch (costSpec.type) {
+        case 'constant':
+            return () => costSpec.value;
+        case 'duration':
+            return (expander, stats) => stats.duration / unit;
+        case 'size':
+            return (expander, stats) => stats.size / unit;
+        case 'template': {
+            let template;
+            try {
+                template = new Template(costSpec.value);
+            } catch (e) {
+                throw new Error(`Compilation failed for limiter ${type} cost. Error: ${e.message}`);
+            }
+            return expander => parseFloat(template.expand(expander));
+        }
+        default:
+            throw new Error(`Invalid cost type ${costSpec.type} for limiter ${type}`);
+    }
+}
 
 /**
  * Creates a JS function that verifies property equality
@@ -159,6 +200,26 @@ class Rule {
         this.spec.retry_limit = this.spec.retry_limit || DEFAULT_RETRY_LIMIT;
         this.spec.retry_factor = this.spec.retry_factor || DEFAULT_RETRY_FACTOR;
         this.spec.timeout = this.spec.timeout || DEFAULT_REQUEST_TIMEOUT;
+        if (typeof this.spec.on_rate_limit !== 'object') {
+            this.spec.on_rate_limit = { policy: this.spec.on_rate_limit || 'drop' };
+        }
+        if (!RATE_LIMIT_POLICIES.includes(this.spec.on_rate_limit.policy)) {
+            throw new Error(`Invalid on_rate_limit policy ${this.spec.on_rate_limit.policy}`);
+        }
+        this.spec.on_rate_limit.delay = this.spec.on_rate_limit.delay || DEFAULT_RATE_LIMIT_DELAY;
+
+        this._defaultRetrySchedule = {
+            delay: this.spec.retry_delay,
+            factor: this.spec.retry_factor
+        };
+        const retrySchedules = this.spec.retry_schedule || {};
+        this._retrySchedules = Object.keys(retrySchedules)
+        // Exact statuses take precedence over the status classes
+        .sort((a, b) => Number(/x/.test(a)) - Number(/x/.test(b)))
+        .map(status => ({
+            matches: _compileErrorCheckCondition({ status }),
+            schedule: Object.assign({}, this._defaultRetrySchedule, retrySchedules[status])
+        }));
 
         this.shouldRetry = _compileErrorCheckCondition(this.spec.retry_on);
         this.shouldIgnoreError = _compileErrorCheckCondition(this.spec.ignore);
@@ -175,6 +236,36 @@ class Rule {
             });
         }
 
+        this._limiterCosts = {};
+        if (this.spec.limiter_costs) {
+            Object.keys(this.spec.limiter_costs).forEach((type) => {
+                if (!this._limiterKeyTemplates[type]) {
+                    throw new Error(`Cost configured for an unknown limiter ${type}`);
+                }
+                this._limiterCosts[type] = _compileLimiterCost(type, this.spec.limiter_costs[type]);
+            });
+        }
+
+        if (this.spec.ordering_key) {
+            try {
+                this._orderingKeyTemplate = new Template(this.spec.ordering_key);
+            } catch (e) {
+                throw new Error(`Compilation failed for ordering_key. Error: ${e.message}`);
+            }
+        }
+
+        if (this.spec.max_concurrency_per_key) {
+            const perKey = this.spec.max_concurrency_per_key;
+            if (!perKey.key || !(perKey.limit > 0)) {
+                throw new Error('max_concurrency_per_key must have a key and a positive limit');
+            }
+            try {
+                this._concurrencyKeyTemplate = new Template(perKey.key);
+            } catch (e) {
+                throw new Error(`Compilation failed for max_concurrency_per_key. Error: ${e.message}`);
+            }
+        }
+
         this._options = (this.spec.cases || [ this.spec ]).map((option) => {
             const matcher = this._processMatch(option.match) || {};
             const result = {
@@ -281,6 +372,74 @@ class Rule {
         return keyTemplate.expand(expander);
     }
 
+    /**
+     * Returns the key of the events that must be processed in order
+     *
+     * @param {Object} message the message to get the key for
+     * @return {string|null} the key or null if the events are not ordered
+     */
+    getOrderingKey(message) {
+        if (!this._orderingKeyTemplate) {
+            return null;
+        }
+        return this._orderingKeyTemplate.expand({ message });
+    }
+
+    /**
+     * Returns the key to limit the concurrent executions by
+     *
+     * @param {Object} message the message to get the key for
+     * @return {string|null} the key or null if the executions are not limited per key
+     */
+    getConcurrencyKey(message) {
+        if (!this._concurrencyKeyTemplate) {
+            return null;
+        }
+        return this._concurrencyKeyTemplate.expand({ message });
+    }
+
+    /**
+     * Returns the maximum number of concurrent executions for the key
+     *
+     * @param {string} key the key returned by getConcurrencyKey
+     * @return {number}
+     */
+    getConcurrencyLimit(key) {
+        const perKey = this.spec.max_concurrency_per_key;
+        return (perKey.overrides && perKey.overrides[key]) || perKey.limit;
+    }
+
+    /**
+     * Returns the cost of the execution for the rate-limiter of the certain type
+     *
+     * @param {string} type limiter type
+     * @param {Object} expander the expander containing the message and match
+     * @param {Object} stats the execution stats
+     * @param {number} stats.duration the execution duration in ms
+     * @param {number} stats.size the total size of the responses in bytes
+     * @return {number|null} the cost or null if no cost function is configured for the limiter
+     */
+    getLimiterCost(type, expander, stats) {
+        const cost = this._limiterCosts[type];
+        if (!cost) {
+            return null;
+        }
+        return cost(expander, stats);
+    }
+
+    /**
+     * Returns the retry schedule for the failed response
+     *
+     * @param {Object} [res] the failed response
+     * @return {Object} the schedule with the delay, factor and the optional max_delay,
+     *                  jitter and retry_after properties
+     */
+    getRetrySchedule(res) {
+        const found = res && this._retrySchedules.find(retrySchedule =>
+            retrySchedule.matches(res));
+        return found ? found.schedule : this._defaultRetrySchedule;
+    }
+
     getRateLimiterTypes() {
         return Object.keys(this._limiterKeyTemplates);
     }
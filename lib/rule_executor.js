@@ -34,12 +34,12 @@ class RuleExecutor extends BaseExecutor {
         return this.rule.getHandler(handlerIndex);
     }
 
-    processMessage(message, hander) {
-        return this._exec(message, hander)
+    processMessage(message, hander, messageHeaders) {
+        return this._exec(message, hander, undefined, undefined, messageHeaders)
         .catch((e) => {
             e = BaseExecutor.decodeError(e);
             const retryMessage = this._constructRetryMessage(message, e);
-            return this._catch(message, retryMessage, e);
+            return this._catch(message, retryMessage, e, messageHeaders);
         });
     }
 
@@ -2,22 +2,86 @@
 
 const RuleExecutor = require('./rule_executor');
 const RetryExecutor = require('./retry_executor');
+const ReplayExecutor = require('./replay_executor');
+const DeadLetterExecutor = require('./dead_letter_executor');
 const Rule = require('./rule');
+const RetryBudget = require('./retry_budget');
 const P = require('bluebird');
 const stringify = require('fast-json-stable-stringify');
 
+/**
+ * Constructs a subscription description from its executors' state
+ *
+ * @param {BasicSubscription|RegexTopicSubscription} subscription
+ * @param {Array} executors the currently active executors
+ * @return {Object}
+ */
+function _describe(subscription, executors) {
+    const executorInfo = executors.map(executor => executor.describe());
+    return {
+        name: subscription.name,
+        spec: subscription.spec,
+        consumer_group: executorInfo.length ? executorInfo[0].consumer_group : undefined,
+        topics: [].concat(...executorInfo.map(info => info.topics)),
+        paused: subscription.paused,
+        executors: executorInfo
+    };
+}
+
+/**
+ * Creates the state shared by the executors of a rule within its subscription
+ *
+ * @param {string} ruleName the name of the rule
+ * @param {Object} ruleSpec the rule specification
+ * @param {Object} options the module options
+ * @param {Object} hyper
+ * @return {Object}
+ */
+function _createSharedState(ruleName, ruleSpec, options, hyper) {
+    return {
+        retryBudget: RetryBudget.forRule(ruleName, ruleSpec, options, hyper.metrics),
+        circuitBreakers: new Map(),
+        keyWaiting: { count: 0 }
+    };
+}
+
+/**
+ * Returns the part of the shared state used by the replays of a rule. The replays
+ * don't count against the retry budget, but respect the circuit breakers.
+ *
+ * @param {Object} shared the state shared by the executors of the rule
+ * @return {Object}
+ */
+function _replayState(shared) {
+    return { circuitBreakers: shared.circuitBreakers, keyWaiting: shared.keyWaiting };
+}
+
+/**
+ * Stops the circuit breakers of a rule once it's permanently unsubscribed
+ *
+ * @param {Object} shared the state shared by the executors of the rule
+ */
+function _closeSharedState(shared) {
+    shared.circuitBreakers.forEach(breaker => breaker.close());
+    shared.circuitBreakers.clear();
+}
+
 class BasicSubscription {
     constructor(options, kafkaFactory, hyper, ruleName, ruleSpec) {
         this._kafkaFactory = kafkaFactory;
         this._options = options;
         this._hyper = hyper;
+        this.name = ruleName;
+        this.spec = ruleSpec;
         ruleSpec.sample =  ruleSpec.sample || options.sample;
         this._rule = new Rule(ruleName, ruleSpec);
         this._subscribed = false;
+        this._shared = _createSharedState(ruleName, ruleSpec, options, hyper);
         this._executor = new RuleExecutor(this._rule, this._kafkaFactory,
-            hyper, this._options);
+            hyper, this._options, this._shared);
         this._retryExecutor = new RetryExecutor(this._rule, this._kafkaFactory,
-            hyper, this._options);
+            hyper, this._options, this._shared);
+        this.paused = false;
     }
 
     subscribe() {
@@ -39,11 +103,85 @@ class BasicSubscription {
 
     unsubscribe() {
         if (this._subscribed) {
-            this._executor.close();
-            this._retryExecutor.close();
+            this._subscribed = false;
+            return P.join(this._executor.close(), this._retryExecutor.close());
         }
+        return P.resolve();
+    }
+
+    /**
+     * Permanently stops the subscription
+     *
+     * @return {Promise}
+     */
+    close() {
+        return this.unsubscribe()
+        .finally(() => _closeSharedState(this._shared));
+    }
+
+    /**
+     * Permanently stops the subscription after letting the messages in flight finish
+     *
+     * @param {number} timeout the maximum time to wait for the messages in flight, in ms
+     * @return {Promise}
+     */
+    drain(timeout) {
+        if (this._subscribed) {
+            this._subscribed = false;
+            return P.join(this._executor.drain(timeout), this._retryExecutor.drain(timeout))
+            .finally(() => _closeSharedState(this._shared));
+        }
+        return P.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+        this._executor.pause();
+        this._retryExecutor.pause();
+    }
+
+    resume() {
+        this.paused = false;
+        this._executor.resume();
+        this._retryExecutor.resume();
+    }
+
+    /**
+     * Returns a description of the subscription for the admin API
+     *
+     * @return {Object}
+     */
+    describe() {
+        return _describe(this, this.getExecutors());
+    }
+
+    getExecutors() {
+        return [ this._executor, this._retryExecutor ];
+    }
+
+    /**
+     * Creates an executor replaying the rule over a range of past messages
+     *
+     * @param {Object} range the range of messages to replay
+     * @return {ReplayExecutor}
+     */
+    createReplay(range) {
+        return new ReplayExecutor(this._rule, this._kafkaFactory, this._hyper,
+            this._options, range, _replayState(this._shared));
+    }
+
+    /**
+     * Creates an executor re-injecting the dead-letter events of the rule
+     *
+     * @param {Object} range the range and filters of the events to re-inject
+     * @return {DeadLetterExecutor}
+     */
+    createDeadLetterReinjection(range) {
+        return new DeadLetterExecutor(this._rule, this._kafkaFactory, this._hyper,
+            this._options, range, _replayState(this._shared));
     }
 }
+
 // TODO: rewrite this one
 class RegexTopicSubscription {
     constructor(options, kafkaFactory, hyper, ruleName, ruleSpec, metadataWatch) {
@@ -52,6 +190,9 @@ class RegexTopicSubscription {
         this._hyper = hyper;
         this._ruleName = ruleName;
         this._ruleSpec = ruleSpec;
+        this.name = ruleName;
+        this.spec = ruleSpec;
+        this.paused = false;
         ruleSpec.sample =  ruleSpec.sample || options.sample;
         this._topicTester = (ruleSpec.topics || (ruleSpec.topic && [ ruleSpec.topic ]))
         .map((topic) => {
@@ -62,7 +203,9 @@ class RegexTopicSubscription {
             return topic;
         });
         this._metadataWatch = metadataWatch;
-        this._metadataWatch.on('topics_changed', (topics) => {
+        // Kept across the re-subscriptions on topic changes
+        this._shared = _createSharedState(ruleName, ruleSpec, options, hyper);
+        this._onTopicsChanged = (topics) => {
             const newFilteredTopics = this._filterTopics(topics);
             if (stringify(newFilteredTopics) !== stringify(this._filteredTopics)) {
                 const removedTopics = this._filteredTopics.filter(topic =>
@@ -80,9 +223,11 @@ class RegexTopicSubscription {
                 .delay(5000) // Give some time for all the in-process consumption loops to finish up
                 .then(() => this._subscribeTopics(newFilteredTopics));
             }
-        });
+        };
         // Ignore the emitted errors - in 10 seconds it will retry
-        this._metadataWatch.on('error', e => this._hyper.logger.log('error/metadata_refresh', e));
+        this._onMetadataError = e => this._hyper.logger.log('error/metadata_refresh', e);
+        this._metadataWatch.on('topics_changed', this._onTopicsChanged);
+        this._metadataWatch.on('error', this._onMetadataError);
 
         this._subscribed = false;
         this._executors = [];
@@ -120,13 +265,18 @@ class RegexTopicSubscription {
         });
 
         const executor = new RuleExecutor(topicRule, this._kafkaFactory,
-            this._hyper, this._options);
+            this._hyper, this._options, this._shared);
         this._executors.push(executor);
 
         const retryExecutor = new RetryExecutor(topicRule, this._kafkaFactory,
-            this._hyper, this._options);
+            this._hyper, this._options, this._shared);
         this._executors.push(retryExecutor);
 
+        if (this.paused) {
+            executor.pause();
+            retryExecutor.pause();
+        }
+
         return P.join(executor.subscribe(), retryExecutor.subscribe())
         .tap(() => {
             this._subscribed = true;
@@ -141,10 +291,93 @@ class RegexTopicSubscription {
     unsubscribe() {
         if (this._subscribed) {
             this._subscribed = false;
-            return P.each(this._executors, (executor => executor.close()));
+            const executors = this._executors;
+            this._executors = [];
+            return P.each(executors, (executor => executor.close()));
         }
         return P.resolve();
     }
+
+    /**
+     * Permanently stops the subscription, including reacting to topic changes
+     *
+     * @return {Promise}
+     */
+    close() {
+        this._metadataWatch.removeListener('topics_changed', this._onTopicsChanged);
+        this._metadataWatch.removeListener('error', this._onMetadataError);
+        return this.unsubscribe()
+        .finally(() => _closeSharedState(this._shared));
+    }
+
+    /**
+     * Permanently stops the subscription after letting the messages in flight finish
+     *
+     * @param {number} timeout the maximum time to wait for the messages in flight, in ms
+     * @return {Promise}
+     */
+    drain(timeout) {
+        this._metadataWatch.removeListener('topics_changed', this._onTopicsChanged);
+        this._metadataWatch.removeListener('error', this._onMetadataError);
+        if (this._subscribed) {
+            this._subscribed = false;
+            const executors = this._executors;
+            this._executors = [];
+            return P.map(executors, executor => executor.drain(timeout))
+            .finally(() => _closeSharedState(this._shared));
+        }
+        return P.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+        this._executors.forEach(executor => executor.pause());
+    }
+
+    resume() {
+        this.paused = false;
+        this._executors.forEach(executor => executor.resume());
+    }
+
+    /**
+     * Returns a description of the subscription for the admin API
+     *
+     * @return {Object}
+     */
+    describe() {
+        return _describe(this, this.getExecutors());
+    }
+
+    getExecutors() {
+        return this._executors;
+    }
+
+    /**
+     * Creates an executor replaying the rule over a range of past messages
+     * from the topics the rule is currently subscribed to.
+     *
+     * @param {Object} range the range of messages to replay
+     * @return {ReplayExecutor}
+     */
+    createReplay(range) {
+        const topicRule = Rule.newWithTopicNames(this._ruleName,
+            this._ruleSpec, this._filteredTopics || []);
+        return new ReplayExecutor(topicRule, this._kafkaFactory, this._hyper,
+            this._options, range, _replayState(this._shared));
+    }
+
+    /**
+     * Creates an executor re-injecting the dead-letter events of the rule
+     *
+     * @param {Object} range the range and filters of the events to re-inject
+     * @return {DeadLetterExecutor}
+     */
+    createDeadLetterReinjection(range) {
+        const topicRule = Rule.newWithTopicNames(this._ruleName,
+            this._ruleSpec, this._filteredTopics || []);
+        return new DeadLetterExecutor(topicRule, this._kafkaFactory, this._hyper,
+            this._options, range, _replayState(this._shared));
+    }
 }
 
 class Subscriber {
@@ -152,7 +385,7 @@ class Subscriber {
         this._kafkaFactory = kafkaFactory;
         this._options = options;
 
-        this._subscriptions = [];
+        this._subscriptions = new Map();
         this._metadataWatch = undefined;
     }
 
@@ -186,18 +419,76 @@ class Subscriber {
      * @return {Promise}
      */
     subscribe(hyper, ruleName, ruleSpec) {
+        if (this._subscriptions.has(ruleName)) {
+            return P.reject(new Error(`Rule ${ruleName} is already subscribed`));
+        }
         return this._createSubscription(hyper, ruleName, ruleSpec)
         .then((subscription) => {
-            this._subscriptions.push(subscription);
+            this._subscriptions.set(ruleName, subscription);
             return subscription.subscribe();
         });
     }
 
-    unsubscribeAll() {
-        this._subscriptions.forEach(subscription => subscription.unsubscribe());
-        if (this._metadataWatch) {
-            this._metadataWatch.disconnect();
+    /**
+     * Returns a subscription by the rule name
+     *
+     * @param {string} ruleName the name of the rule
+     * @return {BasicSubscription|RegexTopicSubscription|undefined}
+     */
+    get(ruleName) {
+        return this._subscriptions.get(ruleName);
+    }
+
+    /**
+     * Returns all the active subscriptions
+     *
+     * @return {Array}
+     */
+    list() {
+        return Array.from(this._subscriptions.values());
+    }
+
+    /**
+     * Unsubscribes a rule and forgets about it.
+     *
+     * @param {string} ruleName the name of the rule
+     * @return {Promise}
+     */
+    unsubscribe(ruleName) {
+        const subscription = this._subscriptions.get(ruleName);
+        if (!subscription) {
+            return P.resolve();
         }
+        this._subscriptions.delete(ruleName);
+        return subscription.close();
+    }
+
+    /**
+     * Reports the consumption state of every executor of every subscription
+     *
+     * @return {Promise<Array>}
+     */
+    status() {
+        return P.map(this.list(), subscription =>
+            P.map(subscription.getExecutors(), executor => executor.status()
+            .then(status => Object.assign({ rule: subscription.name }, status))))
+        .then(statuses => [].concat(...statuses));
+    }
+
+    /**
+     * Stops all the subscriptions, letting the messages in flight finish
+     * and committing their offsets first.
+     *
+     * @param {number} timeout the maximum time to wait for the messages in flight, in ms
+     * @return {Promise}
+     */
+    drainAll(timeout) {
+        return P.map(this.list(), subscription => subscription.drain(timeout))
+        .finally(() => {
+            if (this._metadataWatch) {
+                this._metadataWatch.disconnect();
+            }
+        });
     }
 }
 
@@ -0,0 +1,261 @@
+'use strict';
+
+const P = require('bluebird');
+const fs = require('fs');
+const path = require('path');
+
+const readFile = P.promisify(fs.readFile);
+const writeFile = P.promisify(fs.writeFile);
+const appendFile = P.promisify(fs.appendFile);
+const readdir = P.promisify(fs.readdir);
+const rename = P.promisify(fs.rename);
+const unlink = P.promisify(fs.unlink);
+
+/**
+ * The default maximum size of the spool file in bytes
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_MAX_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Checks whether a process with the PID is running on this host
+ *
+ * @param {number} pid the process ID
+ * @return {boolean}
+ */
+function _isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        // EPERM means the process exists, but belongs to someone else
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * A bounded append-only file capturing the events that could not be produced,
+ * so that they could be produced later in the same order.
+ *
+ * Every worker process has its own spool file. The files left over by processes
+ * that are not running any more are taken over by the next worker to start.
+ */
+class Spool {
+    /**
+     * @param {Object} options
+     * @param {string} options.path the directory to keep the spool files in
+     * @param {number} [options.max_size] the maximum size of the spool file in bytes.
+     *                 Events that don't fit are dropped.
+     * @param {Object} logger the logger to use
+     * @param {Object} metrics the metrics reporter to use
+     */
+    constructor(options, logger, metrics) {
+        if (!options.path) {
+            throw new Error('path must be specified for the spool');
+        }
+        this._dir = path.resolve(options.path);
+        this._path = path.join(this._dir, `spool-${process.pid}.ndjson`);
+        this._maxSize = options.max_size || DEFAULT_MAX_SIZE;
+        this._logger = logger;
+        this._metrics = metrics;
+        this._count = 0;
+        this._size = 0;
+        this._oldestTimestamp = undefined;
+        this._draining = false;
+        // File operations are serialized to never lose the concurrent appends
+        this._lock = P.resolve();
+    }
+
+    /**
+     * Creates the spool directory and takes over the spool files of the
+     * processes that are not running any more.
+     *
+     * @return {Promise}
+     */
+    setup() {
+        fs.mkdirSync(this._dir, { recursive: true });
+        return readdir(this._dir)
+        .then(files => P.each(files, (file) => {
+            // The files claimed by a process that stopped before finishing the takeover
+            // are taken over again. Their events might be sent twice then.
+            const match = /^(?:claimed-(\d+)-)?(spool-(\d+)\.ndjson)$/.exec(file);
+            const pid = match && parseInt(match[1] || match[3], 10);
+            if (!pid || pid === process.pid || _isAlive(pid)) {
+                return;
+            }
+            // Rename the file first, so that only one process takes it over
+            const claimedPath = path.join(this._dir, `claimed-${process.pid}-${match[2]}`);
+            return rename(path.join(this._dir, file), claimedPath)
+            .then(() => this._withLock(() => readFile(claimedPath)
+                .then(content => appendFile(this._path, content))))
+            .then(() => unlink(claimedPath))
+            .then(() => this._logger.log('info/spool', {
+                message: 'Took over the spool of a stopped process',
+                file
+            }))
+            .catch({ code: 'ENOENT' }, () => {
+                // Another process took the file over first
+            });
+        }))
+        .then(() => this._withLock(() => this._readSpool()))
+        .then(content => this._updateStats(content));
+    }
+
+    /**
+     * The number of events in the spool
+     *
+     * @return {number}
+     */
+    get size() {
+        return this._count;
+    }
+
+    _withLock(operation) {
+        const result = this._lock.then(operation);
+        this._lock = result.catch(() => {
+            // The errors are handled by the caller
+        });
+        return result;
+    }
+
+    _readSpool() {
+        return readFile(this._path)
+        .catch({ code: 'ENOENT' }, () => Buffer.alloc(0));
+    }
+
+    _parseLines(content) {
+        return content.toString('utf8').split('\n').filter(line => line.length);
+    }
+
+    _updateStats(content) {
+        const lines = this._parseLines(content);
+        this._count = lines.length;
+        this._size = content.length;
+        this._oldestTimestamp = lines.length ? JSON.parse(lines[0]).spooled_at : undefined;
+    }
+
+    /**
+     * Appends the events to the spool.
+     *
+     * @param {Array} batch the events to spool, each having topic, partition,
+     *                message, key and headers properties.
+     * @return {Promise<boolean>} whether the events were spooled
+     */
+    append(batch) {
+        const now = Date.now();
+        const content = batch.map(item => `${JSON.stringify({
+            spooled_at: now,
+            topic: item.topic,
+            partition: item.partition,
+            key: item.key,
+            headers: item.headers,
+            message: item.message.toString('utf8')
+        })}\n`).join('');
+        const contentSize = Buffer.byteLength(content);
+        return this._withLock(() => {
+            if (this._size + contentSize > this._maxSize) {
+                this._metrics.increment('spool_dropped', batch.length);
+                this._logger.log('error/spool', {
+                    message: 'The spool is full, dropping events',
+                    events: batch.length
+                });
+                return false;
+            }
+            return appendFile(this._path, content)
+            .then(() => {
+                this._count += batch.length;
+                this._size += contentSize;
+                this._oldestTimestamp = this._oldestTimestamp || now;
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Produces the spooled events in order, stopping at the first failure.
+     * The events that were not produced are kept in the spool.
+     *
+     * @param {Object} producer the producer to use
+     * @return {Promise}
+     */
+    drain(producer) {
+        if (this._draining || !this._count) {
+            return P.resolve();
+        }
+        this._draining = true;
+        let drainedSize;
+        let lines;
+        let produced = 0;
+        const produceNext = () => {
+            if (produced >= lines.length) {
+                return P.resolve();
+            }
+            let entry;
+            try {
+                entry = JSON.parse(lines[produced]);
+            } catch (e) {
+                this._logger.log('error/spool', {
+                    message: 'Dropping a corrupted spool entry',
+                    entry_str: lines[produced]
+                });
+                produced++;
+                return produceNext();
+            }
+            return producer.produce(entry.topic, entry.partition, Buffer.from(entry.message),
+                entry.key, undefined, undefined, entry.headers)
+            .then(() => {
+                produced++;
+                return produceNext();
+            });
+        };
+        return this._withLock(() => this._readSpool())
+        .then((content) => {
+            drainedSize = content.length;
+            lines = this._parseLines(content);
+            return produceNext()
+            .catch(e => this._logger.log('warn/spool', {
+                message: 'Failed to produce a spooled event, will retry later',
+                description: `${e}`
+            }));
+        })
+        .then(() => this._withLock(() => this._readSpool()
+            .then((content) => {
+                // Keep the events that were not produced followed by the events appended meanwhile
+                const remaining = Buffer.concat([
+                    Buffer.from(lines.slice(produced).map(line => `${line}\n`).join('')),
+                    content.slice(drainedSize)
+                ]);
+                const tmpPath = `${this._path}.tmp`;
+                return writeFile(tmpPath, remaining)
+                .then(() => rename(tmpPath, this._path))
+                .then(() => this._updateStats(remaining));
+            })))
+        .tap(() => {
+            if (produced) {
+                this._logger.log('info/spool', {
+                    message: 'Produced spooled events',
+                    events: produced,
+                    remaining: this._count
+                });
+            }
+        })
+        .finally(() => {
+            this._draining = false;
+        });
+    }
+
+    /**
+     * Reports the number of events in the spool, its size in bytes
+     * and the age of the oldest event in ms.
+     */
+    reportMetrics() {
+        this._metrics.gauge('spool_size', this._count);
+        this._metrics.gauge('spool_bytes', this._size);
+        this._metrics.gauge('spool_age',
+            this._oldestTimestamp ? Date.now() - this._oldestTimestamp : 0);
+    }
+}
+
+module.exports = Spool;
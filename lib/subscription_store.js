@@ -0,0 +1,216 @@
+'use strict';
+
+const P = require('bluebird');
+const fs = require('fs');
+const path = require('path');
+const mixins = require('./mixins');
+
+const readFile = P.promisify(fs.readFile);
+const writeFile = P.promisify(fs.writeFile);
+const rename = P.promisify(fs.rename);
+const open = P.promisify(fs.open);
+const close = P.promisify(fs.close);
+const stat = P.promisify(fs.stat);
+const unlink = P.promisify(fs.unlink);
+
+/**
+ * The interval to retry acquiring the lock of the file store
+ *
+ * @const
+ * @type {number}
+ */
+const LOCK_RETRY_INTERVAL = 50;
+
+/**
+ * The time to wait for the lock of the file store before giving up
+ *
+ * @const
+ * @type {number}
+ */
+const LOCK_TIMEOUT = 10000;
+
+/**
+ * The age of the lock file after which its holder is considered crashed
+ *
+ * @const
+ * @type {number}
+ */
+const LOCK_STALE_TIMEOUT = 30000;
+
+/**
+ * Stores dynamically added rules in a JSON file on the local disk.
+ * The file contains an object mapping rule names to rule specs.
+ */
+class FileSubscriptionStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.path the path to the JSON file to use
+     */
+    constructor(options) {
+        if (!options.path) {
+            throw new Error('path must be specified for the file subscription store');
+        }
+        this._path = path.resolve(options.path);
+        this._lockPath = `${this._path}.lock`;
+    }
+
+    /**
+     * Loads all the stored rules
+     *
+     * @return {Promise<Object>} an object of rule specs keyed by rule name
+     */
+    load() {
+        return readFile(this._path, 'utf8')
+        .then(content => JSON.parse(content))
+        .catch({ code: 'ENOENT' }, () => ({}));
+    }
+
+    /**
+     * Stores a rule spec under a rule name, replacing the old spec if any.
+     *
+     * @param {string} ruleName the name of the rule
+     * @param {Object} ruleSpec the rule specification
+     * @return {Promise}
+     */
+    save(ruleName, ruleSpec) {
+        return this._update((rules) => {
+            rules[ruleName] = ruleSpec;
+        });
+    }
+
+    /**
+     * Removes a stored rule.
+     *
+     * @param {string} ruleName the name of the rule
+     * @return {Promise}
+     */
+    remove(ruleName) {
+        return this._update((rules) => {
+            delete rules[ruleName];
+        });
+    }
+
+    /**
+     * Acquires the lock file shared by all the workers, waiting for the current
+     * holder to release it. The lock left behind by a crashed holder is broken
+     * once it gets stale.
+     *
+     * @param {number} [startTime] the time of the first attempt
+     * @return {Promise}
+     * @private
+     */
+    _lock(startTime = Date.now()) {
+        return open(this._lockPath, 'wx')
+        .then(fd => close(fd))
+        .catch({ code: 'EEXIST' }, () => stat(this._lockPath)
+            .then((lockStat) => {
+                if (Date.now() - lockStat.mtime.getTime() > LOCK_STALE_TIMEOUT) {
+                    return unlink(this._lockPath);
+                }
+                if (Date.now() - startTime > LOCK_TIMEOUT) {
+                    throw new Error(`Timed out waiting for the lock ${this._lockPath}`);
+                }
+                return P.delay(LOCK_RETRY_INTERVAL);
+            })
+            // The lock could be released between the attempts
+            .catch({ code: 'ENOENT' }, () => {})
+            .then(() => this._lock(startTime)));
+    }
+
+    _unlock() {
+        return unlink(this._lockPath)
+        .catch({ code: 'ENOENT' }, () => {});
+    }
+
+    _update(modify) {
+        // The workers share the file, so the read-modify-write is done under the lock
+        return this._lock()
+        .then(() => this.load()
+            .then((rules) => {
+                modify(rules);
+                // Write to a temporary file and rename it so that other
+                // workers never read a partially written file.
+                const tmpPath = `${this._path}.${process.pid}.tmp`;
+                return writeFile(tmpPath, JSON.stringify(rules, null, 2))
+                .then(() => rename(tmpPath, this._path));
+            })
+            .finally(() => this._unlock()));
+    }
+}
+
+/**
+ * Stores dynamically added rules in a Redis hash.
+ */
+class RedisSubscriptionStore extends mixins.mix(Object).with(mixins.Redis) {
+    /**
+     * @param {Object} options
+     * @param {Object} options.redis the redis connection options
+     * @param {string} [options.redis_prefix] the prefix for the redis key, 'CP' by default
+     */
+    constructor(options) {
+        super(options);
+        this._key = `${options.redis_prefix || 'CP'}_subscriptions`;
+    }
+
+    /**
+     * Loads all the stored rules
+     *
+     * @return {Promise<Object>} an object of rule specs keyed by rule name
+     */
+    load() {
+        return this._redis.hgetallAsync(this._key)
+        .then((stored) => {
+            const rules = {};
+            Object.keys(stored || {}).forEach((ruleName) => {
+                rules[ruleName] = JSON.parse(stored[ruleName]);
+            });
+            return rules;
+        });
+    }
+
+    /**
+     * Stores a rule spec under a rule name, replacing the old spec if any.
+     *
+     * @param {string} ruleName the name of the rule
+     * @param {Object} ruleSpec the rule specification
+     * @return {Promise}
+     */
+    save(ruleName, ruleSpec) {
+        return this._redis.hsetAsync(this._key, ruleName, JSON.stringify(ruleSpec));
+    }
+
+    /**
+     * Removes a stored rule.
+     *
+     * @param {string} ruleName the name of the rule
+     * @return {Promise}
+     */
+    remove(ruleName) {
+        return this._redis.hdelAsync(this._key, ruleName);
+    }
+}
+
+module.exports = {
+    FileSubscriptionStore,
+    RedisSubscriptionStore,
+    /**
+     * Creates a subscription store according to the configuration.
+     *
+     * @param {Object} [storeOptions] the subscription_store config stanza
+     * @param {Object} logger the logger to use
+     * @return {FileSubscriptionStore|RedisSubscriptionStore|undefined}
+     */
+    create: (storeOptions, logger) => {
+        if (!storeOptions) {
+            return undefined;
+        }
+        switch (storeOptions.type) {
+            case 'file':
+                return new FileSubscriptionStore(storeOptions);
+            case 'redis':
+                return new RedisSubscriptionStore(Object.assign({ logger }, storeOptions));
+            default:
+                throw new Error(`Unknown subscription store type ${storeOptions.type}`);
+        }
+    }
+};
@@ -60,4 +60,36 @@ utils.constructRegex = (list) => {
     return new RegExp(regex);
 };
 
+/**
+ * Converts an object of header values to the list of Kafka message headers
+ *
+ * @param {Object} headers the header values keyed by header name
+ * @return {Array|undefined} the Kafka headers or undefined if there are none
+ */
+utils.toKafkaHeaders = (headers) => {
+    const names = Object.keys(headers || {})
+    .filter(name => headers[name] !== undefined && headers[name] !== null);
+    if (!names.length) {
+        return undefined;
+    }
+    return names.map(name => ({ [name]: `${headers[name]}` }));
+};
+
+/**
+ * Converts the list of Kafka message headers to an object of string values.
+ * If a header is repeated, the last value wins.
+ *
+ * @param {Array} [kafkaHeaders] the headers of a consumed Kafka message
+ * @return {Object} the header values keyed by header name
+ */
+utils.fromKafkaHeaders = (kafkaHeaders) => {
+    const headers = {};
+    (kafkaHeaders || []).forEach((header) => {
+        Object.keys(header).forEach((name) => {
+            headers[name] = header[name].toString();
+        });
+    });
+    return headers;
+};
+
 module.exports = utils;
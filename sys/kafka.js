@@ -7,11 +7,52 @@
 const P = require('bluebird');
 const HyperSwitch = require('hyperswitch');
 const HTTPError = HyperSwitch.HTTPError;
+const Template = HyperSwitch.Template;
 const uuidv1 = require('uuid').v1;
+const extend = require('extend');
+const os = require('os');
+const cluster = require('cluster');
 
 const utils = require('../lib/utils');
 const kafkaFactory = require('../lib/kafka_factory');
 const RuleSubscriber = require('../lib/rule_subscriber');
+const subscriptionStore = require('../lib/subscription_store');
+const closeHooks = require('../lib/close_hooks');
+const Spool = require('../lib/spool');
+const DelayQueue = require('../lib/delay_queue');
+
+/**
+ * The default interval to check the subscription store for rules
+ * added or removed via other workers.
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_STORE_REFRESH_INTERVAL = 10000;
+
+/**
+ * The default interval to try producing the spooled events
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_SPOOL_DRAIN_INTERVAL = 5000;
+
+/**
+ * The default time to wait for the messages in flight to finish on shutdown
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_DRAIN_TIMEOUT = 30000;
+
+/**
+ * The default time to keep reporting the replays after they stopped
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_REPLAY_RETENTION = 3600000;
 
 class Kafka {
     constructor(options) {
@@ -20,6 +61,15 @@ class Kafka {
         this.staticRules = options.templates || {};
 
         this.subscriber = new RuleSubscriber(options, this.kafkaFactory);
+        this.store = subscriptionStore.create(options.subscription_store, options.logger);
+        // Names of the rules subscribed from the subscription store
+        this._storedRules = new Set();
+        // The last of the store syncs and writes, which are run one at a time
+        this._storeOperation = P.resolve();
+        // Replays of rules over past messages, keyed by replay ID
+        this._replays = new Map();
+        // Compiled message key templates, keyed by the template source
+        this._keyTemplates = new Map();
     }
 
     setup(hyper) {
@@ -27,13 +77,13 @@ class Kafka {
         .then((producer) => {
             this.producer = producer;
             this._connected = true;
-            HyperSwitch.lifecycle.once('close', () => {
-                this._connected = false;
-                this.subscriber.unsubscribeAll();
-                this.producer.disconnect();
-            });
-            return this._subscribeRules(hyper, this.staticRules);
+            // app.js runs the hook when service-runner stops the service
+            closeHooks.register(() => this._shutdown(hyper));
+            return this._setupSpool(hyper);
         })
+        .then(() => this._setupDelayQueue(hyper))
+        .then(() => this._subscribeRules(hyper, this.staticRules))
+        .tap(() => this._setupStore(hyper))
         .tap(() => hyper.logger.log('info/change-prop/init', 'Kafka Queue module initialised'));
     }
 
@@ -43,8 +93,445 @@ class Kafka {
         .thenReturn({ status: 201 });
     }
 
+    /**
+     * Stops consuming, lets the messages in flight finish and commits their offsets.
+     * The producer is disconnected last, since the rules could still produce retries
+     * and follow-up events while draining.
+     *
+     * @param {HyperSwitch} hyper the request dispatcher
+     * @return {Promise}
+     * @private
+     */
+    _shutdown(hyper) {
+        if (this._shutdownPromise) {
+            return this._shutdownPromise;
+        }
+        if (this._storeRefreshInterval) {
+            clearInterval(this._storeRefreshInterval);
+        }
+        if (this._spoolDrainInterval) {
+            clearInterval(this._spoolDrainInterval);
+        }
+        this._replays.forEach(replay => replay.cancel());
+        this._shutdownPromise = P.resolve(this.delayQueue && this.delayQueue.close()
+            .catch(e => hyper.logger.log('error/delay_queue', {
+                message: 'Failed to close the delay queue',
+                description: `${e}`
+            })))
+        .then(() => this.subscriber.drainAll(this.options.drain_timeout || DEFAULT_DRAIN_TIMEOUT))
+        .catch(e => hyper.logger.log('error/drain', {
+            message: 'Failed to drain the subscriptions',
+            description: `${e}`
+        }))
+        .finally(() => {
+            this._connected = false;
+            this.producer.disconnect();
+        });
+        return this._shutdownPromise;
+    }
+
+    _setupSpool(hyper) {
+        if (!this.options.spool || this.options.test_mode) {
+            return P.resolve();
+        }
+        this.spool = new Spool(this.options.spool, hyper.logger, hyper.metrics);
+        return this.spool.setup()
+        .then(() => {
+            this._spoolDrainInterval = setInterval(() => {
+                this.spool.reportMetrics();
+                if (this._connected) {
+                    this.spool.drain(this.producer)
+                    .catch(e => hyper.logger.log('error/spool', {
+                        message: 'Failed to drain the spool',
+                        description: `${e}`
+                    }));
+                }
+            }, this.options.spool.drain_interval || DEFAULT_SPOOL_DRAIN_INTERVAL);
+        });
+    }
+
+    _setupDelayQueue(hyper) {
+        if (!this.options.delay_topics || this.options.test_mode) {
+            return P.resolve();
+        }
+        this.delayQueue = new DelayQueue(this.options.delay_topics, this.kafkaFactory, hyper);
+        return this.delayQueue.subscribe();
+    }
+
+    _setupStore(hyper) {
+        if (!this.store) {
+            return P.resolve();
+        }
+        return this._syncStoredRules(hyper)
+        .then(() => {
+            this._storeRefreshInterval = setInterval(() => this._syncStoredRules(hyper),
+                this.options.subscription_store.refresh_interval ||
+                    DEFAULT_STORE_REFRESH_INTERVAL);
+        });
+    }
+
+    /**
+     * Runs the store operation once the previous ones are done, so that a sync doesn't
+     * act on the rules loaded before a concurrent write of this worker.
+     *
+     * @param {Function} operation the function returning a promise
+     * @return {Promise}
+     * @private
+     */
+    _serializeStore(operation) {
+        const result = this._storeOperation.then(operation);
+        this._storeOperation = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Subscribes the rules added to the subscription store and unsubscribes
+     * the removed ones, so that all the workers have the same set of rules.
+     *
+     * @param {HyperSwitch} hyper the request dispatcher
+     * @return {Promise}
+     * @private
+     */
+    _syncStoredRules(hyper) {
+        return this._serializeStore(() => this.store.load()
+        .then((rules) => {
+            const removedRules = Array.from(this._storedRules)
+            .filter(ruleName => !rules[ruleName]);
+            const addedRules = Object.keys(rules)
+            .filter(ruleName => !this.staticRules[ruleName] && !this.subscriber.get(ruleName));
+            return P.each(removedRules, (ruleName) => {
+                this._storedRules.delete(ruleName);
+                return this.subscriber.unsubscribe(ruleName);
+            })
+            .then(() => P.each(addedRules, (ruleName) => {
+                this._storedRules.add(ruleName);
+                return this.subscriber.subscribe(hyper, ruleName, rules[ruleName])
+                .catch(e => hyper.logger.log('error/subscription_store', {
+                    message: 'Failed to subscribe a stored rule',
+                    rule: ruleName,
+                    description: `${e}`
+                }));
+            }));
+        })
+        .catch(e => hyper.logger.log('error/subscription_store', {
+            message: 'Failed to load stored rules',
+            description: `${e}`
+        })));
+    }
+
+    /**
+     * Stores the newly subscribed rules, so that the other workers pick them up.
+     * If the rules could not be stored, they're unsubscribed again.
+     *
+     * @param {HyperSwitch} hyper the request dispatcher
+     * @param {Object} rules the rule specs keyed by rule name
+     * @return {Promise}
+     * @private
+     */
+    _storeRules(hyper, rules) {
+        if (!this.store) {
+            return P.resolve();
+        }
+        const ruleNames = Object.keys(rules);
+        return this._serializeStore(() => P.each(ruleNames, ruleName =>
+            this.store.save(ruleName, rules[ruleName])
+            // Only the stored rules are unsubscribed by the sync once they're removed
+            .then(() => this._storedRules.add(ruleName))))
+        .catch((e) => {
+            hyper.logger.log('error/subscription_store', {
+                message: 'Failed to store rules',
+                rules: ruleNames,
+                description: `${e}`
+            });
+            return P.each(ruleNames, (ruleName) => {
+                this._storedRules.delete(ruleName);
+                return this.subscriber.unsubscribe(ruleName);
+            })
+            .then(() => {
+                throw new HTTPError({
+                    status: 500,
+                    body: {
+                        type: 'internal_error',
+                        detail: `Failed to store rules: ${e}`
+                    }
+                });
+            });
+        });
+    }
+
     subscribe(hyper, req) {
-        return this._subscribeRules(hyper, req.body);
+        const existing = Object.keys(req.body || {})
+        .filter(ruleName => this.subscriber.get(ruleName));
+        if (existing.length) {
+            throw new HTTPError({
+                status: 409,
+                body: {
+                    type: 'conflict',
+                    detail: `Rules already subscribed: ${existing.join(', ')}`
+                }
+            });
+        }
+        // Rule specs get modified by the subscription, so store a copy of the original.
+        const rules = extend(true, {}, req.body);
+        return this._subscribeRules(hyper, req.body)
+        .tap(() => this._storeRules(hyper, rules));
+    }
+
+    _getSubscription(name) {
+        const subscription = this.subscriber.get(name);
+        if (!subscription) {
+            throw new HTTPError({
+                status: 404,
+                body: {
+                    type: 'not_found',
+                    detail: `Subscription ${name} does not exist`
+                }
+            });
+        }
+        return subscription;
+    }
+
+    listSubscriptions(hyper, req) {
+        return {
+            status: 200,
+            body: {
+                items: this.subscriber.list().map(subscription => subscription.describe())
+            }
+        };
+    }
+
+    getSubscription(hyper, req) {
+        return {
+            status: 200,
+            body: this._getSubscription(req.params.name).describe()
+        };
+    }
+
+    unsubscribe(hyper, req) {
+        this._getSubscription(req.params.name);
+        // The rule is removed from the store first, so that it's not subscribed again
+        // by the store sync if the removal fails.
+        return this._serializeStore(() =>
+            P.resolve(this.store && this.store.remove(req.params.name))
+            .catch((e) => {
+                throw new HTTPError({
+                    status: 500,
+                    body: {
+                        type: 'internal_error',
+                        detail: `Failed to remove the stored rule: ${e}`
+                    }
+                });
+            })
+            .then(() => {
+                this._storedRules.delete(req.params.name);
+                return this.subscriber.unsubscribe(req.params.name);
+            }))
+        .tap(() => hyper.logger.log('info/subscription', {
+            message: 'Subscription removed',
+            rule: req.params.name
+        }))
+        .thenReturn({ status: 204 });
+    }
+
+    status(hyper, req) {
+        return this.subscriber.status()
+        .then(items => ({
+            status: 200,
+            body: { items }
+        }));
+    }
+
+    _validateReplayRange(body) {
+        const badRequest = (detail) => {
+            throw new HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    detail
+                }
+            });
+        };
+        if (Array.isArray(body.partitions)) {
+            body.partitions.forEach((range) => {
+                if (typeof range.topic !== 'string' ||
+                        !Number.isInteger(range.partition) ||
+                        !Number.isInteger(range.start_offset) ||
+                        !Number.isInteger(range.end_offset)) {
+                    badRequest('Each partition must have topic, partition, ' +
+                        'start_offset and end_offset');
+                }
+            });
+            return;
+        }
+        if (!body.start || isNaN(Date.parse(body.start))) {
+            badRequest('Either a valid start timestamp or a list of partitions must be provided');
+        }
+        if (body.end && (isNaN(Date.parse(body.end)) ||
+                Date.parse(body.end) <= Date.parse(body.start))) {
+            badRequest('The end timestamp must be valid and later than the start');
+        }
+    }
+
+    replay(hyper, req) {
+        const subscription = this._getSubscription(req.params.name);
+        const body = req.body || {};
+        this._validateReplayRange(body);
+        const replay = subscription.createReplay({
+            id: uuidv1(),
+            start: body.start,
+            end: body.end,
+            partitions: body.partitions
+        });
+        if (body.partitions) {
+            const unknownTopics = body.partitions
+            .filter(range => !replay.subscribeTopics.includes(range.topic));
+            if (unknownTopics.length) {
+                throw new HTTPError({
+                    status: 400,
+                    body: {
+                        type: 'bad_request',
+                        detail: `Rule ${req.params.name} is not subscribed to ` +
+                            `${unknownTopics.map(range => range.topic).join(', ')}`
+                    }
+                });
+            }
+        }
+        return this._startReplay(hyper, req.params.name, replay);
+    }
+
+    /**
+     * Forgets the replays stopped longer than the retention period ago
+     *
+     * @private
+     */
+    _expireReplays() {
+        const retention = this.options.replay_retention !== undefined ?
+            this.options.replay_retention : DEFAULT_REPLAY_RETENTION;
+        this._replays.forEach((replay, id) => {
+            if (replay.finishedAt && Date.now() - replay.finishedAt.getTime() >= retention) {
+                this._replays.delete(id);
+            }
+        });
+    }
+
+    _startReplay(hyper, ruleName, replay) {
+        this._expireReplays();
+        this._replays.set(replay.id, replay);
+        // Don't wait for the replay to start, the progress is reported via /replays/{id}
+        replay.subscribe()
+        .catch(e => hyper.logger.log('error/replay', {
+            message: 'Failed to start a replay',
+            rule: ruleName,
+            replay_id: replay.id,
+            description: `${e}`
+        }));
+        return {
+            status: 202,
+            body: replay.describe()
+        };
+    }
+
+    reinjectDeadLetters(hyper, req) {
+        const subscription = this._getSubscription(req.params.name);
+        const body = req.body || {};
+        if (body.partitions) {
+            throw new HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    detail: 'Dead-letter events are selected by a time range'
+                }
+            });
+        }
+        this._validateReplayRange(body);
+        return this._startReplay(hyper, req.params.name, subscription.createDeadLetterReinjection({
+            id: uuidv1(),
+            start: body.start,
+            end: body.end,
+            status: body.status,
+            domain: body.domain
+        }));
+    }
+
+    _getReplay(id) {
+        const replay = this._replays.get(id);
+        if (!replay) {
+            throw new HTTPError({
+                status: 404,
+                body: {
+                    type: 'not_found',
+                    detail: `Replay ${id} does not exist`
+                }
+            });
+        }
+        return replay;
+    }
+
+    listReplays(hyper, req) {
+        this._expireReplays();
+        return {
+            status: 200,
+            body: {
+                items: Array.from(this._replays.values()).map(replay => replay.describe())
+            }
+        };
+    }
+
+    getReplay(hyper, req) {
+        return {
+            status: 200,
+            body: this._getReplay(req.params.id).describe()
+        };
+    }
+
+    cancelReplay(hyper, req) {
+        const replay = this._getReplay(req.params.id);
+        return replay.cancel()
+        .then(() => ({
+            status: 200,
+            body: replay.describe()
+        }));
+    }
+
+    /**
+     * Describes the worker process serving the request, since pausing and resuming
+     * only affects the subscription of that worker.
+     *
+     * @return {Object}
+     * @private
+     */
+    static _worker() {
+        return {
+            host: os.hostname(),
+            id: cluster.isWorker ? cluster.worker.id : 0,
+            pid: process.pid
+        };
+    }
+
+    pauseSubscription(hyper, req) {
+        const subscription = this._getSubscription(req.params.name);
+        subscription.pause();
+        hyper.logger.log('info/subscription', {
+            message: 'Subscription paused',
+            rule: req.params.name
+        });
+        return {
+            status: 200,
+            body: Object.assign(subscription.describe(), { worker: Kafka._worker() })
+        };
+    }
+
+    resumeSubscription(hyper, req) {
+        const subscription = this._getSubscription(req.params.name);
+        subscription.resume();
+        hyper.logger.log('info/subscription', {
+            message: 'Subscription resumed',
+            rule: req.params.name
+        });
+        return {
+            status: 200,
+            body: Object.assign(subscription.describe(), { worker: Kafka._worker() })
+        };
     }
 
     produce(hyper, req) {
@@ -53,13 +540,12 @@ class Kafka {
             return { status: 201 };
         }
 
-        if (!this._connected) {
-            hyper.logger.log('debug/produce', 'Attempt to produce while disconnected');
-            return { status: 202 };
-        }
-
         const partition = req.params.partition || null;
-        const messages = req.body;
+        // The body is either an array of events, or an object with the events
+        // along with message key templates per stream and Kafka headers, common
+        // to all the events or per event.
+        const body = Array.isArray(req.body) ? { events: req.body } : req.body || {};
+        const messages = body.events;
         if (!Array.isArray(messages) || !messages.length) {
             throw new HTTPError({
                 status: 400,
@@ -69,15 +555,9 @@ class Kafka {
                 }
             });
         }
-        // Check whether all messages contain the topic
+        // Check whether all messages contain the topic before producing any of them
         messages.forEach((message) => {
-            const now = new Date();
-            message.meta.id = message.meta.id || uuidv1({ msecs: now.getTime() });
-            message.meta.dt = message.meta.dt || now.toISOString();
-            message.meta.request_id = message.meta.request_id || utils.requestId();
-        });
-        return P.all(messages.map((message) => {
-            if (!message.meta.stream) {
+            if (!message || !message.meta || !message.meta.stream) {
                 throw new HTTPError({
                     status: 400,
                     body: {
@@ -87,13 +567,114 @@ class Kafka {
                     }
                 });
             }
+            const now = new Date();
+            message.meta.id = message.meta.id || uuidv1({ msecs: now.getTime() });
+            message.meta.dt = message.meta.dt || now.toISOString();
+            message.meta.request_id = message.meta.request_id || utils.requestId();
+        });
+        const batch = messages.map((message, index) => {
             hyper.metrics.increment(
                 `produce_${hyper.metrics.normalizeName(message.meta.stream.replace(/\./g, '_'))}.${partition}`);
-            return this.producer.produce(`${this.kafkaFactory.produceDC}.${message.meta.stream}`,
+            const keyTemplate = body.keys && body.keys[message.meta.stream];
+            const headers = Object.assign({
+                'x-request-id': req.headers && req.headers['x-request-id'] ||
+                    message.meta.request_id,
+                'x-triggered-by': req.headers && req.headers['x-triggered-by']
+            }, body.headers, body.event_headers && body.event_headers[index]);
+            return {
+                topic: `${this.kafkaFactory.produceDC}.${message.meta.stream}`,
                 partition,
-                Buffer.from(JSON.stringify(message)));
-        }))
-        .thenReturn({ status: 201 });
+                message: Buffer.from(JSON.stringify(message)),
+                key: keyTemplate ? this._expandKey(keyTemplate, message) : null,
+                headers: utils.toKafkaHeaders(headers)
+            };
+        });
+
+        let results;
+        if (!this._connected) {
+            hyper.logger.log('debug/produce', 'Attempt to produce while disconnected');
+            if (!this.spool) {
+                return { status: 202 };
+            }
+            const error = new Error('The producer is disconnected');
+            results = P.resolve(batch.map(() => ({ error })));
+        } else {
+            results = P.all(batch.map(item => this.producer.produce(item.topic, item.partition,
+                item.message, item.key, undefined, undefined, item.headers)
+            .then(report => ({ report }), error => ({ error }))));
+        }
+        return results.then((outcomes) => {
+            // Spool the events that failed to be produced to produce them later in order.
+            const failed = batch.filter((item, index) => outcomes[index].error);
+            const spooling = this.spool && failed.length ?
+                this.spool.append(failed) : P.resolve(false);
+            return spooling.then((spooled) => outcomes.map((outcome, index) => {
+                if (!outcome.error) {
+                    const report = outcome.report || {};
+                    return {
+                        status: 201,
+                        topic: batch[index].topic,
+                        partition: report.partition,
+                        offset: report.offset
+                    };
+                }
+                hyper.logger.log(spooled ? 'warn/produce' : 'error/produce', {
+                    message: spooled ? 'Spooled an event that failed to be produced' :
+                        'Failed to produce an event',
+                    topic: batch[index].topic,
+                    description: `${outcome.error}`
+                });
+                if (spooled) {
+                    return {
+                        status: 202,
+                        topic: batch[index].topic,
+                        spooled: true
+                    };
+                }
+                return {
+                    status: 500,
+                    topic: batch[index].topic,
+                    error: `${outcome.error}`
+                };
+            }));
+        })
+        .then((items) => {
+            let status = 207;
+            if (items.every(item => item.status === 201)) {
+                status = 201;
+            } else if (items.every(item => item.status === 202)) {
+                status = 202;
+            }
+            return { status, body: { items } };
+        });
+    }
+
+    /**
+     * Computes the Kafka message key for an event
+     *
+     * @param {string} keyTemplate the message key template
+     * @param {Object} message the event to compute the key for
+     * @return {string|null}
+     * @private
+     */
+    _expandKey(keyTemplate, message) {
+        if (!this._keyTemplates.has(keyTemplate)) {
+            let template;
+            try {
+                template = new Template(keyTemplate);
+            } catch (e) {
+                throw new HTTPError({
+                    status: 400,
+                    body: {
+                        type: 'bad_request',
+                        detail: `Invalid message key template ${keyTemplate}: ${e.message}`
+                    }
+                });
+            }
+            this._keyTemplates.set(keyTemplate, template);
+        }
+        const key = this._keyTemplates.get(keyTemplate).expand({ message });
+        return key === undefined || key === null || key === '' ? null : `${key}`;
     }
 }
 
@@ -114,18 +695,89 @@ module.exports = (options) => {
                         operationId: 'produce'
                     }
                 },
+                '/status': {
+                    get: {
+                        summary: 'reports consumer lag and state for every executor',
+                        operationId: 'status'
+                    }
+                },
                 '/subscriptions': {
+                    get: {
+                        summary: 'lists all the active subscriptions',
+                        operationId: 'list_subscriptions'
+                    },
                     post: {
                         summary: 'adds a new subscription dynamically',
                         operationId: 'subscribe'
                     }
+                },
+                '/subscriptions/{name}': {
+                    get: {
+                        summary: 'describes a subscription',
+                        operationId: 'get_subscription'
+                    },
+                    delete: {
+                        summary: 'removes a subscription',
+                        operationId: 'unsubscribe'
+                    }
+                },
+                '/subscriptions/{name}/pause': {
+                    post: {
+                        summary: 'stops consuming messages for a subscription',
+                        operationId: 'pause_subscription'
+                    }
+                },
+                '/subscriptions/{name}/resume': {
+                    post: {
+                        summary: 'resumes consuming messages for a paused subscription',
+                        operationId: 'resume_subscription'
+                    }
+                },
+                '/subscriptions/{name}/replay': {
+                    post: {
+                        summary: 'replays the rule over a range of past messages',
+                        operationId: 'replay'
+                    }
+                },
+                '/subscriptions/{name}/dead_letter/reinject': {
+                    post: {
+                        summary: 're-injects the dead-letter events of the rule as its retries',
+                        operationId: 'reinject_dead_letters'
+                    }
+                },
+                '/replays': {
+                    get: {
+                        summary: 'lists the replays',
+                        operationId: 'list_replays'
+                    }
+                },
+                '/replays/{id}': {
+                    get: {
+                        summary: 'reports the progress of a replay',
+                        operationId: 'get_replay'
+                    },
+                    delete: {
+                        summary: 'stops a replay',
+                        operationId: 'cancel_replay'
+                    }
                 }
             }
         },
         operations: {
             setup_kafka: kafkaMod.setup.bind(kafkaMod),
             produce: kafkaMod.produce.bind(kafkaMod),
-            subscribe: kafkaMod.subscribe.bind(kafkaMod)
+            subscribe: kafkaMod.subscribe.bind(kafkaMod),
+            list_subscriptions: kafkaMod.listSubscriptions.bind(kafkaMod),
+            get_subscription: kafkaMod.getSubscription.bind(kafkaMod),
+            unsubscribe: kafkaMod.unsubscribe.bind(kafkaMod),
+            pause_subscription: kafkaMod.pauseSubscription.bind(kafkaMod),
+            resume_subscription: kafkaMod.resumeSubscription.bind(kafkaMod),
+            status: kafkaMod.status.bind(kafkaMod),
+            replay: kafkaMod.replay.bind(kafkaMod),
+            reinject_dead_letters: kafkaMod.reinjectDeadLetters.bind(kafkaMod),
+            list_replays: kafkaMod.listReplays.bind(kafkaMod),
+            get_replay: kafkaMod.getReplay.bind(kafkaMod),
+            cancel_replay: kafkaMod.cancelReplay.bind(kafkaMod)
         },
         resources: [{
             uri: '/sys/queue/setup'
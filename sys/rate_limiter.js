@@ -31,7 +31,7 @@ class RateLimiter extends mixins.mix(Object).with(mixins.Redis) {
         });
     }
 
-    _execLimiterFun(fun, hyper, type, key) {
+    _execLimiterFun(fun, hyper, type, key, args) {
         const limiter = this._LIMITERS.get(type);
 
         if (!limiter) {
@@ -45,7 +45,7 @@ class RateLimiter extends mixins.mix(Object).with(mixins.Redis) {
         const startTime = Date.now();
 
         return new P((resolve, reject) => {
-            limiter[fun](key, (err, isRateLimited) => {
+            limiter[fun](key, ...(args || []), (err, isRateLimited) => {
                 if (err) {
                     hyper.logger.log('error/ratelimit', err);
                     hyper.metrics.endTiming(`ratelimit.${fun}.err`, startTime);
@@ -71,8 +71,26 @@ class RateLimiter extends mixins.mix(Object).with(mixins.Redis) {
         });
     }
 
+    /**
+     * Increments the limiter by the weight provided in the request body,
+     * 1 by default, and checks whether the key is rate-limited.
+     *
+     * @param {Object} hyper
+     * @param {Object} req
+     * @return {Promise}
+     */
     increment(hyper, req) {
-        return this._execLimiterFun('incr', hyper, req.params.type, req.params.key);
+        const weight = req.body && req.body.weight !== undefined ? req.body.weight : 1;
+        if (!Number.isInteger(weight) || weight < 1) {
+            throw new HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    detail: `Invalid limiter weight ${weight}, must be a positive integer`
+                }
+            });
+        }
+        return this._execLimiterFun('incr', hyper, req.params.type, req.params.key, [ weight ]);
     }
 
     check(hyper, req) {
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+const AdaptiveConcurrency = require('../../lib/adaptive_concurrency');
+const RetryExecutor = require('../../lib/retry_executor');
+const executorUtils = require('../utils/executor');
+
+describe('Adaptive concurrency', () => {
+    const options = {
+        min: 2,
+        max: 12,
+        latency_threshold: 100,
+        error_threshold: 0.1,
+        increase: 2
+    };
+
+    it('Should raise the concurrency additively while healthy and saturated', () => {
+        const concurrency = new AdaptiveConcurrency(options, 8);
+        concurrency.record(50, 200);
+        assert.deepEqual(concurrency.adjust(), 8);
+
+        concurrency.record(50, 200);
+        concurrency.markSaturated();
+        assert.deepEqual(concurrency.adjust(), 10);
+
+        concurrency.record(50, 404);
+        concurrency.markSaturated();
+        concurrency.adjust();
+        concurrency.record(50, 200);
+        concurrency.markSaturated();
+        assert.deepEqual(concurrency.adjust(), 12);
+    });
+
+    it('Should cut the concurrency multiplicatively when degraded', () => {
+        const concurrency = new AdaptiveConcurrency(options, 10);
+        concurrency.record(500, 200);
+        assert.deepEqual(concurrency.adjust(), 5);
+
+        concurrency.record(50, 200);
+        concurrency.record(50, 503);
+        assert.deepEqual(concurrency.adjust(), 2);
+
+        // Failures without a status count as errors too
+        concurrency.record(50);
+        assert.deepEqual(concurrency.adjust(), 2);
+
+        // Nothing was executed, so there's nothing to judge by
+        assert.deepEqual(concurrency.adjust(), 2);
+    });
+
+    it('Should reject invalid bounds', () => {
+        assert.throws(() => new AdaptiveConcurrency({ min: 10, max: 5 }, 5), /min <= max/);
+        assert.throws(() => new AdaptiveConcurrency({ decrease_factor: 1 }, 5), /decrease_factor/);
+    });
+
+    it('Should report the concurrency of every executor of the rule separately', () => {
+        const spec = {
+            topic: 'test_topic',
+            exec: { uri: 'http://mock.com' },
+            concurrency: 4,
+            adaptive_concurrency: options
+        };
+        const gauges = {};
+        const hyper = { metrics: executorUtils.createMetrics({}, gauges) };
+        const consumer = { assignments: () => [], pause: () => {}, resume: () => {} };
+        const { executor } = executorUtils.createExecutor('test_rule', spec,
+            { hyper, consumer });
+        const { executor: retryExecutor } = executorUtils.createExecutor('test_rule', spec,
+            { Executor: RetryExecutor, hyper, consumer });
+
+        executor._adaptiveConcurrency.record(500, 200);
+        executor._adjustConcurrency();
+        retryExecutor._adaptiveConcurrency.record(50, 200);
+        retryExecutor._adaptiveConcurrency.markSaturated();
+        retryExecutor._adjustConcurrency();
+        assert.deepEqual(gauges, { test_rule_concurrency: 2, test_rule_retry_concurrency: 6 });
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const HTTPError = require('hyperswitch').HTTPError;
+const RuleExecutor = require('../../lib/rule_executor');
+const RetryExecutor = require('../../lib/retry_executor');
+const common = require('../utils/common');
+const executorUtils = require('../utils/executor');
+const Ajv = require('ajv');
+
+const createExecutor = Executor => executorUtils.createExecutor('history_rule', {
+    topic: 'history_topic',
+    dead_letter: true,
+    exec: [
+        { method: 'post', uri: 'http://mock.com/first' },
+        { method: 'post', uri: 'http://mock.com/second' }
+    ]
+}, {
+    Executor,
+    hyper: {
+        post: () => P.resolve({ status: 200, body: false }),
+        request: (req) => {
+            if (/second/.test(req.uri.toString())) {
+                return P.reject(new HTTPError({
+                    status: 503,
+                    body: { title: 'Service Unavailable' }
+                }));
+            }
+            return P.resolve({ status: 200 });
+        }
+    }
+}).executor;
+
+const event = {
+    meta: {
+        dt: new Date().toISOString(),
+        stream: 'history_topic',
+        uri: 'https://en.wikipedia.org/wiki/History',
+        domain: 'en.wikipedia.org'
+    }
+};
+
+describe('Attempt history', () => {
+    it('Should record the failed attempts on the retry messages', () => {
+        const executor = createExecutor(RuleExecutor);
+        const retryExecutor = createExecutor(RetryExecutor);
+        return executor._exec(event, executor.rule.getHandler(0))
+        .then(() => assert.fail('Must fail'), (e) => {
+            const retry = executor._constructRetryMessage(event, e);
+            assert.deepEqual(retry.$schema, '/change-prop/retry/1.1.0');
+            assert.deepEqual(retry.attempts.length, 1);
+            assert.deepEqual(retry.attempts[0].status, 503);
+            assert.deepEqual(retry.attempts[0].reason, 'Service Unavailable');
+            assert.deepEqual(retry.attempts[0].exec_index, 1);
+            assert.ok(retry.attempts[0].duration >= 0);
+
+            const error = new HTTPError({ status: 500, body: 'Fatal' });
+            const nextRetry = retryExecutor._constructRetryMessage(event, error,
+                retry.retries_left - 1, retry);
+            assert.deepEqual(nextRetry.attempts.map(attempt => attempt.status), [ 503, 500 ]);
+
+            const deadLetter = retryExecutor._constructDeadLetterMessage(retry, nextRetry, error);
+            assert.deepEqual(deadLetter.attempts, nextRetry.attempts);
+            const errorEvent = retryExecutor._constructErrorMessage(error, retry,
+                nextRetry.attempts);
+            assert.deepEqual(errorEvent.details.attempts, nextRetry.attempts);
+        });
+    });
+
+    it('Should read the history of the retries without attempts', () => {
+        const executor = createExecutor(RetryExecutor);
+        const legacyRetry = {
+            $schema: '/change-prop/retry/1.0.0',
+            meta: {
+                dt: new Date(Date.now() - 1000).toISOString(),
+                stream: 'changeprop.retry.history_topic'
+            },
+            retries_left: 1,
+            original_event: event,
+            error_status: 504,
+            reason: 'Gateway Timeout'
+        };
+        const retry = executor._constructRetryMessage(event,
+            new HTTPError({ status: 400, body: {} }), 0, legacyRetry);
+        assert.deepEqual(retry.attempts.map(attempt => attempt.status), [ 504, 400 ]);
+        assert.deepEqual(retry.attempts[0].dt, legacyRetry.meta.dt);
+        assert.deepEqual(retry.attempts[0].reason, 'Gateway Timeout');
+    });
+
+    it('Should construct valid dead-letter events with a truncated final response', () => {
+        const executor = createExecutor(RetryExecutor);
+        const error = new HTTPError({
+            status: 500,
+            headers: { 'content-type': 'text/html' },
+            body: 'x'.repeat(20000)
+        });
+        const retry = executor._constructRetryMessage(event, error, 0);
+        const deadLetter = executor._constructDeadLetterMessage(retry, retry, error);
+        assert.deepEqual(deadLetter.final_response.status, 500);
+        assert.deepEqual(deadLetter.final_response.body_str.length, 10000);
+        return common.fetchEventValidator('change-prop/dead_letter', '1.0.0')
+        .then((validate) => {
+            if (!validate(JSON.parse(JSON.stringify(deadLetter)))) {
+                throw new assert.AssertionError({ message: Ajv.errorsText(validate.errors) });
+            }
+        });
+    });
+});
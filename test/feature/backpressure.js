@@ -0,0 +1,66 @@
+'use strict';
+
+const assert = require('assert');
+const executorUtils = require('../utils/executor');
+
+const createExecutor = () => {
+    const paused = new Set();
+    const { executor, counters } = executorUtils.createExecutor('backpressure_rule', {
+        topic: 'backpressure_topic',
+        concurrency: 4,
+        exec: { uri: 'http://mock.com' }
+    }, {
+        consumer: {
+            assignments: () => [ 0, 1 ].map(partition => ({
+                topic: 'test_dc.backpressure_topic',
+                partition
+            })),
+            pause: toppars => toppars.forEach(toppar => paused.add(toppar.partition)),
+            resume: toppars => toppars.forEach(toppar => paused.delete(toppar.partition))
+        }
+    });
+    return { executor, counters, paused };
+};
+
+const message = offset => ({
+    topic: 'test_dc.backpressure_topic',
+    partition: 0,
+    offset,
+    value: Buffer.from('{}')
+});
+
+describe('Backpressure', () => {
+    it('Should pause the partitions when saturated and resume at the low-water mark', () => {
+        const { executor, counters, paused } = createExecutor();
+        const msgs = [ 1, 2, 3, 4 ].map(message);
+        msgs.slice(0, 3).forEach(msg => executor._pendingMsgs.add(msg));
+        executor._applyBackpressure();
+        assert.deepEqual(paused.size, 0);
+
+        executor._pendingMsgs.add(msgs[3]);
+        executor._applyBackpressure();
+        assert.deepEqual(Array.from(paused), [ 0, 1 ]);
+        assert.deepEqual(executor.describe().partitions_paused, true);
+
+        // Still above the low-water mark of 2 messages
+        executor._pendingMsgs.delete(msgs[0]);
+        executor._applyBackpressure();
+        assert.deepEqual(paused.size, 2);
+
+        executor._pendingMsgs.delete(msgs[1]);
+        executor._applyBackpressure();
+        assert.deepEqual(paused.size, 0);
+        assert.deepEqual(counters.backpressure_rule_partitions_paused, 1);
+        assert.deepEqual(counters.backpressure_rule_partitions_resumed, 1);
+    });
+
+    it('Should keep the partitions of a paused rule paused', () => {
+        const { executor, paused } = createExecutor();
+        executor.pause();
+        assert.deepEqual(paused.size, 2);
+        executor._applyBackpressure();
+        assert.deepEqual(paused.size, 2);
+        executor.resume();
+        assert.deepEqual(paused.size, 0);
+    });
+});
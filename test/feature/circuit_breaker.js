@@ -0,0 +1,129 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const CircuitBreaker = require('../../lib/circuit_breaker');
+const executorUtils = require('../utils/executor');
+
+describe('Circuit breaker', () => {
+    const createBreaker = (key) => {
+        const counters = {};
+        const breaker = new CircuitBreaker('breaker_rule', key, {
+            failure_ratio: 0.5,
+            min_requests: 4,
+            open_duration: 50
+        }, executorUtils.logger, executorUtils.createMetrics(counters));
+        breaker.counters = counters;
+        return breaker;
+    };
+
+    const createExecutor = (ruleName, shared, latencies) => {
+        const { executor } = executorUtils.createExecutor(ruleName, {
+            topic: 'breaker_topic',
+            circuit_breaker: { min_requests: 1, open_duration: 50 },
+            exec: { method: 'post', uri: 'http://target.example.org/' }
+        }, {
+            hyper: {
+                post: () => P.resolve({ status: 200, body: false }),
+                request: () => P.resolve({ status: 200 })
+            },
+            shared
+        });
+        executor._adaptiveConcurrency = {
+            record: latency => latencies && latencies.push(latency)
+        };
+        return executor;
+    };
+
+    const request = { uri: 'http://target.example.org/' };
+
+    it('Should be shared by the executors of a rule only', () => {
+        const shared = { circuitBreakers: new Map() };
+        const breaker = createExecutor('first_rule', shared)._getCircuitBreaker(request, {});
+        assert.strictEqual(createExecutor('first_rule', shared)._getCircuitBreaker(request, {}),
+            breaker);
+        assert.notStrictEqual(createExecutor('second_rule', { circuitBreakers: new Map() })
+            ._getCircuitBreaker(request, {}), breaker);
+    });
+
+    it('Should not count the time held by the breaker as the latency', () => {
+        const latencies = [];
+        const executor = createExecutor('latency_rule', {}, latencies);
+        executor._getCircuitBreaker(request, {}).record(false, true);
+        const event = {
+            meta: {
+                dt: new Date().toISOString(),
+                stream: 'breaker_topic',
+                uri: 'https://en.wikipedia.org/wiki/Breaker',
+                domain: 'en.wikipedia.org'
+            }
+        };
+        const startTime = Date.now();
+        return executor._exec(event, executor.rule.getHandler(0))
+        .then(() => {
+            assert.ok(Date.now() - startTime >= 50);
+            assert.deepEqual(latencies.length, 1);
+            assert.ok(latencies[0] < 50);
+        });
+    });
+
+    it('Should stop probing once closed', () => {
+        const breaker = createBreaker('closed.example.org');
+        [ true, true, true, true ].forEach(failed => breaker.record(false, failed));
+        breaker.close();
+        return P.delay(70)
+        .then(() => assert.deepEqual(breaker.state, 'open'));
+    });
+
+    it('Should hold the requests while open and close after a successful probe', () => {
+        const breaker = createBreaker('probe.example.org');
+        [ false, true, false, true ].forEach(failed => breaker.record(false, failed));
+        assert.deepEqual(breaker.state, 'open');
+
+        const released = [];
+        const held = [ 1, 2, 3 ].map(id => breaker.acquire()
+            .then(isProbe => released.push({ id, isProbe })));
+        return P.delay(20)
+        .then(() => {
+            assert.deepEqual(released, []);
+            return P.delay(50);
+        })
+        .then(() => {
+            // Only the probe is let through once half-open
+            assert.deepEqual(breaker.state, 'half_open');
+            assert.deepEqual(released, [ { id: 1, isProbe: true } ]);
+            breaker.record(true, false);
+            return P.all(held);
+        })
+        .then(() => {
+            assert.deepEqual(breaker.state, 'closed');
+            assert.deepEqual(released.map(item => item.isProbe), [ true, false, false ]);
+            assert.deepEqual(breaker.counters, {
+                'breaker_rule-probe.example.org_circuit_open': 1,
+                'breaker_rule-probe.example.org_circuit_half_open': 1,
+                'breaker_rule-probe.example.org_circuit_closed': 1
+            });
+        });
+    });
+
+    it('Should open again if the probe fails', () => {
+        const breaker = createBreaker('failing.example.org');
+        [ true, true, true, true ].forEach(failed => breaker.record(false, failed));
+        const probe = breaker.acquire();
+        return P.delay(70)
+        .then(() => probe)
+        .then((isProbe) => {
+            assert.deepEqual(isProbe, true);
+            breaker.record(true, true);
+            assert.deepEqual(breaker.state, 'open');
+            // Let the probe through to finish the test
+            return P.delay(70);
+        })
+        .then(() => {
+            assert.deepEqual(breaker.state, 'half_open');
+            return breaker.acquire();
+        })
+        .then(isProbe => breaker.record(isProbe, false))
+        .then(() => assert.deepEqual(breaker.state, 'closed'));
+    });
+});
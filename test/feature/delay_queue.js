@@ -0,0 +1,155 @@
+'use strict';
+
+const assert = require('assert');
+const Ajv = require('ajv');
+const P = require('bluebird');
+const DelayQueue = require('../../lib/delay_queue');
+const MemoryKafkaFactory = require('../../lib/memory_kafka_factory');
+const common = require('../utils/common');
+const executorUtils = require('../utils/executor');
+
+describe('Delay queue', () => {
+    const options = { tiers: [ 0.2, 0.1 ] };
+
+    it('Should pick the longest delay topic not exceeding the delay', () => {
+        const event = { meta: { stream: 'delayed_topic', uri: '/page', domain: 'test.org' } };
+        const now = Date.now();
+        assert.deepEqual(DelayQueue.createDelayedEvent(event, now + 50, options, 'changeprop'),
+            undefined);
+        const delayed = DelayQueue.createDelayedEvent(event, now + 350, options, 'changeprop',
+            { trace_id: 'test_trace' });
+        assert.deepEqual(delayed.meta.stream, 'changeprop.delay.0.2');
+        assert.deepEqual(delayed.event, event);
+        assert.deepEqual(delayed.headers, { trace_id: 'test_trace' });
+        delayed.meta.dt = new Date(now).toISOString();
+        return common.fetchEventValidator('change-prop/delayed', '1.0.0')
+        .then((validate) => {
+            if (!validate(JSON.parse(JSON.stringify(delayed)))) {
+                throw new assert.AssertionError({ message: Ajv.errorsText(validate.errors) });
+            }
+        });
+    });
+
+    it('Should deliver the events once due through the delay topics', () => {
+        const factory = new MemoryKafkaFactory({
+            dc_name: 'test_dc',
+            memory: { offset_reset: 'earliest' }
+        });
+        const posted = [];
+        const hyper = {
+            logger: executorUtils.logger,
+            config: { service_name: 'changeprop' },
+            metrics: {},
+            post: (req) => {
+                posted.push({ body: req.body, time: Date.now() });
+                return P.resolve({ status: 201 });
+            }
+        };
+        const queue = new DelayQueue(options, factory, hyper);
+        const event = { meta: { stream: 'delayed_topic', uri: '/page', domain: 'test.org' } };
+        const start = Date.now();
+        const delayed = DelayQueue.createDelayedEvent(event, start + 250, options, 'changeprop');
+        delayed.meta.dt = new Date(start).toISOString();
+        let producer;
+        return factory.createProducer()
+        .then((result) => {
+            producer = result;
+            return producer.produce(`test_dc.${delayed.meta.stream}`, null,
+                Buffer.from(JSON.stringify(delayed)));
+        })
+        .then(() => queue.subscribe())
+        .then(() => P.delay(100))
+        .then(() => {
+            assert.deepEqual(posted, []);
+            return P.delay(250);
+        })
+        .then(() => {
+            // The 0.2s topic delivered the event with 50ms left, which is below the shortest delay
+            assert.deepEqual(posted.length, 1);
+            assert.deepEqual(posted[0].body.events, [ event ]);
+            assert.ok(posted[0].time - start >= 200);
+            assert.deepEqual(factory._broker.getCommitted('changeprop-delay-0.2',
+                `test_dc.${delayed.meta.stream}`, 0), 1);
+        })
+        .finally(() => queue.close());
+    });
+
+    /**
+     * Produces the delayed events, due already, to the shortest delay topic
+     * and starts consuming it.
+     *
+     * @param {Function} post the mock post of the dispatcher
+     * @param {number} count the number of the events to produce
+     * @return {Promise<Object>} the memory factory and the started delay queue
+     */
+    const startWithDueEvents = (post, count) => {
+        const factory = new MemoryKafkaFactory({
+            dc_name: 'test_dc',
+            memory: { offset_reset: 'earliest' }
+        });
+        const queue = new DelayQueue(options, factory, {
+            logger: executorUtils.logger,
+            config: { service_name: 'changeprop' },
+            metrics: {},
+            post
+        });
+        const past = Date.now() - 1000;
+        return factory.createProducer()
+        .then(producer => P.each(Array.from({ length: count }, (_, idx) => idx), (idx) => {
+            const event = { meta: { stream: 'delayed_topic', uri: `/page/${idx}` } };
+            const delayed = DelayQueue.createDelayedEvent(event, Date.now() + 150, options,
+                'changeprop', { trace_id: `trace_${idx}` });
+            delayed.meta.dt = new Date(past).toISOString();
+            return producer.produce(`test_dc.${delayed.meta.stream}`, null,
+                Buffer.from(JSON.stringify(delayed)));
+        }))
+        .then(() => queue.subscribe())
+        .then(() => ({ factory, queue }));
+    };
+
+    it('Should forward the due events as one batch', () => {
+        const posted = [];
+        return startWithDueEvents((req) => {
+            posted.push(req.body);
+            return P.resolve({ status: 201 });
+        }, 3)
+        .then(({ factory, queue }) => P.delay(200)
+        .then(() => {
+            assert.deepEqual(posted.length, 1);
+            assert.deepEqual(posted[0].events.map(event => event.meta.uri),
+                [ '/page/0', '/page/1', '/page/2' ]);
+            assert.deepEqual(posted[0].event_headers,
+                [ { trace_id: 'trace_0' }, { trace_id: 'trace_1' }, { trace_id: 'trace_2' } ]);
+            assert.deepEqual(factory._broker.getCommitted('changeprop-delay-0.1',
+                'test_dc.changeprop.delay.0.1', 0), 3);
+        })
+        .finally(() => queue.close()));
+    });
+
+    it('Should commit the forwarded events and retry the rest of the batch', () => {
+        const posted = [];
+        return startWithDueEvents((req) => {
+            posted.push(req.body.events.map(event => event.meta.uri));
+            if (posted.length > 1) {
+                return P.resolve({ status: 201 });
+            }
+            return P.resolve({
+                status: 207,
+                body: { items: [ { status: 201 }, { status: 500, error: 'Failed' }, { status: 201 } ] }
+            });
+        }, 3)
+        .then(({ factory, queue }) => P.delay(200)
+        .then(() => {
+            assert.deepEqual(posted, [ [ '/page/0', '/page/1', '/page/2' ] ]);
+            assert.deepEqual(factory._broker.getCommitted('changeprop-delay-0.1',
+                'test_dc.changeprop.delay.0.1', 0), 1);
+            return P.delay(1000);
+        })
+        .then(() => {
+            assert.deepEqual(posted[1], [ '/page/1', '/page/2' ]);
+            assert.deepEqual(factory._broker.getCommitted('changeprop-delay-0.1',
+                'test_dc.changeprop.delay.0.1', 0), 3);
+        })
+        .finally(() => queue.close()));
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileKafkaFactory = require('../../lib/file_kafka_factory');
+const common = require('../utils/common');
+
+describe('NDJSON file queue backend', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changeprop-file-'));
+        fs.writeFileSync(path.join(tmpDir, 'input.ndjson'),
+            '{"id":1}\n\n{"id":2}\n{"id":3}');
+    });
+
+    afterEach(() => common.removeDir(tmpDir));
+
+    const createFactory = fileOptions => new FileKafkaFactory({
+        dc_name: 'test_dc',
+        file: Object.assign({
+            inputs: {
+                file_topic: path.join(tmpDir, 'input.ndjson')
+            },
+            output_dir: path.join(tmpDir, 'output')
+        }, fileOptions)
+    });
+
+    it('Should feed the events from the input file', () => {
+        const factory = createFactory();
+        return factory.createConsumer('file_group', [ 'test_dc.file_topic' ])
+        .then(consumer => P.delay(300)
+            .then(() => consumer.consumeAsync(10))
+            .then(messages => assert.deepEqual(
+                messages.map(message => JSON.parse(message.value.toString()).id), [ 1, 2, 3 ]))
+            .finally(() => consumer.disconnectAsync()));
+    });
+
+    it('Should pause feeding while the events are not committed', () => {
+        const factory = createFactory({ max_backlog: 2 });
+        return factory.createConsumer('file_group', [ 'test_dc.file_topic' ])
+        .then(consumer => P.delay(300)
+            .then(() => consumer.consumeAsync(10))
+            .then((messages) => {
+                assert.deepEqual(messages.length, 2);
+                return consumer.commitMessageAsync(messages[1]);
+            })
+            .delay(300)
+            .then(() => consumer.consumeAsync(10))
+            .then(messages => assert.deepEqual(
+                messages.map(message => JSON.parse(message.value.toString()).id), [ 3 ]))
+            .finally(() => consumer.disconnectAsync()));
+    });
+
+    it('Should write produced events to per-stream output files', () => {
+        const factory = createFactory();
+        return factory.createProducer()
+        .then(producer => P.each([ 'retry', 'error' ], type =>
+            producer.produce(`test_dc.change-prop.${type}.file_topic`, null,
+                Buffer.from(`{"type":"${type}"}`)))
+        .then(() => new P(resolve => producer.disconnect(resolve))))
+        .then(() => {
+            assert.deepEqual(fs.readFileSync(
+                path.join(tmpDir, 'output', 'change-prop.retry.file_topic.ndjson'), 'utf8'),
+            '{"type":"retry"}\n');
+            assert.deepEqual(fs.readFileSync(
+                path.join(tmpDir, 'output', 'change-prop.error.file_topic.ndjson'), 'utf8'),
+            '{"type":"error"}\n');
+        });
+    });
+});
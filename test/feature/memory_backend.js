@@ -0,0 +1,139 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const MemoryKafkaFactory = require('../../lib/memory_kafka_factory');
+
+describe('In-memory queue backend', () => {
+    const createFactory = memoryOptions => new MemoryKafkaFactory({
+        dc_name: 'test_dc',
+        memory: Object.assign({
+            partitions: 2
+        }, memoryOptions)
+    });
+
+    const produceAll = (producer, count) => {
+        const values = [];
+        for (let idx = 0; idx < count; idx++) {
+            values.push(Buffer.from(`message${idx}`));
+        }
+        return P.each(values, value => producer.produce('test_dc.memory_topic', null, value));
+    };
+
+    it('Should resume consumption from the committed offset', () => {
+        const factory = createFactory();
+        let producer;
+        return factory.createProducer()
+        .then((result) => {
+            producer = result;
+            return factory.createConsumer('memory_group', [ 'test_dc.memory_topic' ]);
+        })
+        .then((consumer) => {
+            return produceAll(producer, 4)
+            .then(() => consumer.consumeAsync(10))
+            .then((messages) => {
+                assert.deepEqual(messages.length, 4);
+                const firstPartition = messages.filter(message => message.partition === 0);
+                return consumer.commitMessageAsync(firstPartition[0])
+                .then(() => consumer.disconnectAsync());
+            });
+        })
+        .then(() => factory.createConsumer('memory_group', [ 'test_dc.memory_topic' ]))
+        .then(consumer => consumer.consumeAsync(10))
+        .then((messages) => {
+            // One message was committed in partition 0, nothing in partition 1
+            // and the new partitions start from the latest offset.
+            assert.deepEqual(messages.map(message => [ message.partition, message.offset ]),
+                [ [ 0, 1 ] ]);
+        });
+    });
+
+    it('Should distribute partitions between the group members', () => {
+        const factory = createFactory();
+        return P.join(
+            factory.createConsumer('memory_group', [ 'test_dc.memory_topic' ]),
+            factory.createConsumer('memory_group', [ 'test_dc.memory_topic' ])
+        )
+        .spread((consumer1, consumer2) => {
+            assert.deepEqual(consumer1.assignments(), [ { topic: 'test_dc.memory_topic', partition: 0 } ]);
+            assert.deepEqual(consumer2.assignments(), [ { topic: 'test_dc.memory_topic', partition: 1 } ]);
+            return consumer2.disconnectAsync()
+            .then(() => assert.deepEqual(consumer1.assignments().length, 2));
+        });
+    });
+
+    it('Should emit rebalance events', () => {
+        const factory = createFactory();
+        const events = [];
+        return factory.createConsumer('memory_group', [ 'test_dc.memory_topic' ])
+        .then((consumer) => {
+            consumer.on('rebalance', (err, assignment) =>
+                events.push([ err.message, assignment.map(toppar => toppar.partition) ]));
+            return factory.createConsumer('memory_group', [ 'test_dc.memory_topic' ]);
+        })
+        .then(() => assert.deepEqual(events, [
+            [ 'Local: Revoke partitions', [ 0, 1 ] ],
+            [ 'Local: Assign partitions', [ 0 ] ]
+        ]));
+    });
+
+    it('Should list topics without the DC prefix', () => {
+        const factory = createFactory();
+        return factory.createProducer()
+        .then(producer => producer.produce('test_dc.other_topic', 0, Buffer.from('{}')))
+        .then(() => factory.createMetadataWatch())
+        .then((watch) => {
+            return watch.getTopics()
+            .then(topics => assert.deepEqual(topics, [ 'other_topic' ]))
+            .finally(() => watch.disconnect());
+        });
+    });
+
+    it('Should drop the messages committed by all the consuming groups', () => {
+        const factory = createFactory({ partitions: 1 });
+        let producer;
+        let consumers;
+        return factory.createProducer()
+        .then((result) => {
+            producer = result;
+            return P.join(
+                factory.createConsumer('first_group', [ 'test_dc.memory_topic' ]),
+                factory.createConsumer('second_group', [ 'test_dc.memory_topic' ])
+            );
+        })
+        .then((result) => {
+            consumers = result;
+            return produceAll(producer, 4);
+        })
+        .then(() => P.map(consumers, consumer => consumer.consumeAsync(10)))
+        .spread((firstMessages, secondMessages) =>
+            consumers[0].commitMessageAsync(firstMessages[2])
+            .then(() => {
+                // The second group hasn't committed anything yet
+                assert.deepEqual(factory._broker.getMessages('test_dc.memory_topic', 0).length, 4);
+                return consumers[1].commitMessageAsync(secondMessages[1]);
+            }))
+        .then(() => consumers[0].queryWatermarkOffsetsAsync('test_dc.memory_topic', 0, 1000))
+        .then((offsets) => {
+            assert.deepEqual(offsets, { lowOffset: 2, highOffset: 4 });
+            assert.deepEqual(factory._broker.getMessages('test_dc.memory_topic', 0)
+                .map(message => message.offset), [ 2, 3 ]);
+        });
+    });
+
+    it('Should retain at most max_messages per partition', () => {
+        const factory = createFactory({
+            partitions: 1,
+            offset_reset: 'earliest',
+            retention: { max_messages: 3 }
+        });
+        return factory.createProducer()
+        .then(producer => produceAll(producer, 5))
+        .then(() => factory.createConsumer('memory_group', [ 'test_dc.memory_topic' ]))
+        .then(consumer => consumer.consumeAsync(10))
+        .then((messages) => {
+            assert.deepEqual(messages.map(message => message.offset), [ 2, 3, 4 ]);
+            assert.deepEqual(messages[0].value.toString(), 'message2');
+        });
+    });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('assert');
+const kafka = require('node-rdkafka');
+const RetryExecutor = require('../../lib/retry_executor');
+const executorUtils = require('../utils/executor');
+
+const createExecutor = (options, Executor) => {
+    const committed = [];
+    const consumer = {
+        commitMessageAsync: (msg) => {
+            committed.push(msg);
+            return Promise.resolve();
+        },
+        commitMessageSync: (msg) => {
+            committed.push(msg);
+        },
+        disconnectAsync: () => {
+            consumer.disconnected = true;
+            return Promise.resolve();
+        }
+    };
+    // Test mode disables the commit timer, commits are triggered manually
+    const { executor, gauges } = executorUtils.createExecutor('commit_rule', {
+        topic: 'commit_topic',
+        exec: { uri: 'http://mock.com' }
+    }, { Executor, options: options || { test_mode: true }, consumer });
+    return { executor, gauges, committed };
+};
+
+const message = (partition, offset) => ({
+    topic: 'test_dc.commit_topic',
+    partition,
+    offset,
+    value: Buffer.from('{}')
+});
+
+describe('Offset commits', () => {
+    it('Should commit partitions independently', () => {
+        const { executor, gauges, committed } = createExecutor();
+        const pendingMsg = message(0, 1);
+        const finishedMsgs = [ message(0, 2), message(1, 10), message(1, 11) ];
+        [ pendingMsg ].concat(finishedMsgs).forEach((msg) => {
+            executor._trackPartition(msg);
+            executor._pendingMsgs.add(msg);
+        });
+        finishedMsgs.forEach(msg => executor._notifyFinished(msg));
+
+        return executor._commitPending()
+        .then(() => {
+            assert.deepEqual(committed.map(msg => [ msg.partition, msg.offset ]), [ [ 1, 11 ] ]);
+            assert.equal(gauges['commit_rule-test_dc_commit_topic-0_commit_gap'], 1);
+            assert.equal(gauges['commit_rule-test_dc_commit_topic-1_commit_gap'], 0);
+
+            executor._notifyFinished(pendingMsg);
+            return executor._commitPending();
+        })
+        .then(() => {
+            assert.deepEqual(committed.map(msg => [ msg.partition, msg.offset ]),
+                [ [ 1, 11 ], [ 0, 2 ] ]);
+            assert.equal(gauges['commit_rule-test_dc_commit_topic-0_commit_gap'], 0);
+        });
+    });
+
+    it('Should commit the messages in flight when draining', () => {
+        const { executor, committed } = createExecutor({});
+        const msgs = [ message(0, 1), message(0, 2) ];
+        msgs.forEach((msg) => {
+            executor._trackPartition(msg);
+            executor._pendingMsgs.add(msg);
+        });
+        executor._notifyFinished(msgs[0]);
+        setTimeout(() => executor._notifyFinished(msgs[1]), 50);
+
+        return executor.drain(1000)
+        .then(() => {
+            assert.deepEqual(committed.map(msg => msg.offset), [ 2 ]);
+            assert.ok(executor.consumer.disconnected);
+        });
+    });
+
+    it('Should stop waiting for the messages in flight after the timeout', () => {
+        const { executor, committed } = createExecutor({});
+        const msgs = [ message(0, 1), message(0, 2) ];
+        msgs.forEach((msg) => {
+            executor._trackPartition(msg);
+            executor._pendingMsgs.add(msg);
+        });
+        executor._notifyFinished(msgs[1]);
+
+        return executor.drain(200)
+        .then(() => {
+            assert.deepEqual(committed, []);
+            assert.ok(executor.consumer.disconnected);
+        });
+    });
+
+    it('Should not wait for the retries waking up while draining', () => {
+        const { executor, committed } = createExecutor({}, RetryExecutor);
+        const msgs = [ message(0, 1), message(0, 2) ];
+        msgs.forEach((msg) => {
+            executor._trackPartition(msg);
+            executor._pendingMsgs.add(msg);
+        });
+        // The retry wakes up before the other message in flight finishes
+        executor._sleep(50);
+        setTimeout(() => executor._notifyFinished(msgs[0]), 100);
+
+        const start = Date.now();
+        return executor.drain(2000)
+        .then(() => {
+            assert.ok(Date.now() - start < 1000, 'The drain waited for the retry');
+            assert.deepEqual(committed.map(msg => msg.offset), [ 1 ]);
+        });
+    });
+
+    it('Should commit finished offsets when partitions are revoked', () => {
+        const { executor, committed } = createExecutor({});
+        const msgs = [ message(0, 1), message(0, 2), message(0, 3), message(1, 5) ];
+        msgs.forEach((msg) => {
+            executor._trackPartition(msg);
+            executor._pendingMsgs.add(msg);
+        });
+        executor._notifyFinished(msgs[0]);
+        executor._notifyFinished(msgs[2]);
+        executor._notifyFinished(msgs[3]);
+
+        executor._onRebalance({ code: kafka.CODES.ERRORS.ERR__REVOKE_PARTITIONS },
+            [ { topic: 'test_dc.commit_topic', partition: 0 } ]);
+        assert.deepEqual(committed.map(msg => [ msg.partition, msg.offset ]), [ [ 0, 1 ] ]);
+
+        // The message in flight finishes after the partition was revoked
+        executor._notifyFinished(msgs[1]);
+        return executor._commitPending()
+        .then(() => {
+            assert.deepEqual(committed.map(msg => [ msg.partition, msg.offset ]),
+                [ [ 0, 1 ], [ 1, 5 ] ]);
+            clearTimeout(executor._commitTimeout);
+        });
+    });
+});
@@ -0,0 +1,205 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const RetryExecutor = require('../../lib/retry_executor');
+const executorUtils = require('../utils/executor');
+
+const createExecutor = (spec, params) => {
+    const { executor, gauges } = executorUtils.createExecutor('ordered_rule', Object.assign({
+        topic: 'ordered_topic',
+        exec: { uri: 'http://mock.com/{{message.offset}}' }
+    }, spec), Object.assign({
+        consumer: {
+            assignments: () => [],
+            pause: () => {},
+            resume: () => {}
+        }
+    }, params));
+    executor.gauges = gauges;
+    return executor;
+};
+
+/**
+ * Creates the request methods of the dispatcher recording the offsets of the events
+ * executed and the maximum number of the concurrent executions.
+ *
+ * @param {Object} stats the object to record the executions in
+ * @return {Object}
+ */
+const createRequests = (stats) => {
+    stats.started = [];
+    stats.running = 0;
+    stats.maxRunning = 0;
+    return {
+        post: () => P.resolve({ status: 200, body: false }),
+        request: (req) => {
+            stats.started.push(parseInt(/\/(\d+)$/.exec(req.uri.toString())[1], 10));
+            stats.running++;
+            stats.maxRunning = Math.max(stats.maxRunning, stats.running);
+            return P.delay(20)
+            .then(() => {
+                stats.running--;
+                return { status: 200 };
+            });
+        }
+    };
+};
+
+const message = (offset, uri) => ({
+    topic: 'test_dc.ordered_topic',
+    partition: 0,
+    offset,
+    value: Buffer.from(JSON.stringify({ meta: { uri, stream: 'ordered_topic' } }))
+});
+
+describe('Per-key processing', () => {
+    it('Should process the events with the same key one at a time in offset order', () => {
+        const executor = createExecutor({ ordering_key: '{{message.meta.uri}}' });
+        const started = [];
+        const finished = [];
+        // The earlier events take longer, so unordered processing would finish them last
+        const durations = { 1: 60, 2: 10, 3: 30, 4: 10 };
+        executor.processMessage = (message) => {
+            const offset = message.offset;
+            started.push(offset);
+            return P.delay(durations[offset]).then(() => finished.push(offset));
+        };
+        const msgs = [
+            message(1, '/page/a'),
+            message(2, '/page/b'),
+            message(3, '/page/a'),
+            message(4, '/page/a')
+        ];
+        msgs.forEach((msg) => {
+            executor._trackPartition(msg);
+            executor._pendingMsgs.add(msg);
+            const event = JSON.parse(msg.value.toString());
+            event.offset = msg.offset;
+            executor._schedule(msg, event, {});
+        });
+        // Different keys run concurrently
+        assert.deepEqual(started, [ 1, 2 ]);
+        return P.delay(20)
+        .then(() => {
+            assert.deepEqual(finished, [ 2 ]);
+            // The offset of the finished event is not committed past the pending ones
+            assert.deepEqual(executor._takeCommittable([ 'test_dc.ordered_topic/0' ]), []);
+            return P.delay(200);
+        })
+        .then(() => {
+            assert.deepEqual(finished, [ 2, 1, 3, 4 ]);
+            assert.deepEqual(executor._orderedChains.size, 0);
+            assert.deepEqual(executor._takeCommittable([ 'test_dc.ordered_topic/0' ])
+                .map(msg => msg.offset), [ 4 ]);
+        });
+    });
+
+    it('Should limit the concurrent executions per key', () => {
+        const stats = {};
+        const executor = createExecutor({
+            max_concurrency_per_key: {
+                key: '{{message.meta.uri}}',
+                limit: 1,
+                overrides: { '/page/b': 2 }
+            }
+        }, { hyper: createRequests(stats) });
+        [
+            message(1, '/page/a'),
+            message(2, '/page/a'),
+            message(3, '/page/a'),
+            message(4, '/page/b'),
+            message(5, '/page/b')
+        ].forEach((msg) => {
+            executor._pendingMsgs.add(msg);
+            const event = JSON.parse(msg.value.toString());
+            event.offset = msg.offset;
+            executor._schedule(msg, event, executor.rule.getHandler(0));
+        });
+        return P.delay(5)
+        .then(() => {
+            assert.deepEqual(stats.started, [ 1, 4, 5 ]);
+            assert.deepEqual(executor.gauges.ordered_rule_key_waiting, 2);
+            assert.deepEqual(executor._keyWaitingCount, 2);
+            return P.delay(100);
+        })
+        .then(() => {
+            assert.deepEqual(stats.started, [ 1, 4, 5, 2, 3 ]);
+            assert.deepEqual(stats.maxRunning, 3);
+            assert.deepEqual(executor.gauges.ordered_rule_key_waiting, 0);
+            assert.deepEqual(executor._keySlots.size, 0);
+        });
+    });
+
+    it('Should not hold the key slots while waiting for the retry delay', () => {
+        const stats = {};
+        const executor = createExecutor({
+            max_concurrency_per_key: {
+                key: '{{message.meta.uri}}',
+                limit: 1
+            }
+        }, { Executor: RetryExecutor, hyper: createRequests(stats) });
+        const retry = (offset, retryDelay) => ({
+            meta: { stream: 'changeprop.retry.ordered_topic', dt: new Date().toISOString() },
+            emitter_id: executor.emitterId(),
+            retries_left: 1,
+            retry_delay: retryDelay,
+            original_event: { meta: { uri: '/page/a', stream: 'ordered_topic' }, offset }
+        });
+        const handler = executor.rule.getHandler(0);
+        [ retry(1, 100), retry(2, 0) ].forEach((retryMessage) => {
+            const msg = message(retryMessage.original_event.offset, '/page/a');
+            executor._pendingMsgs.add(msg);
+            executor._schedule(msg, retryMessage, handler);
+        });
+        return P.delay(50)
+        // The retry due first is executed while the other one waits for its delay
+        .then(() => assert.deepEqual(stats.started, [ 2 ]))
+        .delay(150)
+        .then(() => assert.deepEqual(stats.started, [ 2, 1 ]));
+    });
+
+    it('Should report the events waiting for their keys across the executors of the rule', () => {
+        const stats = {};
+        const spec = {
+            max_concurrency_per_key: {
+                key: '{{message.meta.uri}}',
+                limit: 1
+            }
+        };
+        const shared = { keyWaiting: { count: 0 } };
+        const hyper = createRequests(stats);
+        const executor = createExecutor(spec, { hyper, shared });
+        const retryExecutor = createExecutor(spec, { Executor: RetryExecutor, hyper, shared });
+        const handler = executor.rule.getHandler(0);
+        [ 1, 2, 3 ].forEach((offset) => {
+            const msg = message(offset, '/page/a');
+            const event = JSON.parse(msg.value.toString());
+            event.offset = offset;
+            executor._pendingMsgs.add(msg);
+            executor._schedule(msg, event, handler);
+        });
+        [ 4, 5 ].forEach((offset) => {
+            const msg = message(offset, '/page/b');
+            retryExecutor._pendingMsgs.add(msg);
+            retryExecutor._schedule(msg, {
+                meta: { stream: 'changeprop.retry.ordered_topic', dt: new Date().toISOString() },
+                emitter_id: retryExecutor.emitterId(),
+                retries_left: 1,
+                retry_delay: 0,
+                original_event: { meta: { uri: '/page/b', stream: 'ordered_topic' }, offset }
+            }, handler);
+        });
+        return P.delay(5)
+        .then(() => {
+            assert.deepEqual(executor._keyWaitingCount, 2);
+            assert.deepEqual(retryExecutor._keyWaitingCount, 1);
+            assert.deepEqual(retryExecutor.gauges.ordered_rule_key_waiting, 3);
+            return P.delay(100);
+        })
+        .then(() => {
+            assert.deepEqual(stats.started.sort(), [ 1, 2, 3, 4, 5 ]);
+            assert.deepEqual(shared.keyWaiting.count, 0);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const HTTPError = require('hyperswitch').HTTPError;
+const RetryExecutor = require('../../lib/retry_executor');
+const executorUtils = require('../utils/executor');
+
+const createExecutor = (onRateLimit, Executor) => {
+    const produced = [];
+    const { executor, counters } = executorUtils.createExecutor('limited_rule', {
+        topic: 'limited_topic',
+        limiters: { blacklist: '{{message.meta.uri}}' },
+        on_rate_limit: onRateLimit,
+        exec: { uri: 'http://mock.com' }
+    }, {
+        Executor,
+        hyper: {
+            get: () => P.reject(new HTTPError({
+                status: 429,
+                body: { message: 'Message rejected by limiter blacklist', key: 'key' }
+            })),
+            post: (req) => {
+                produced.push(req.body);
+                return P.resolve({ status: 201 });
+            }
+        }
+    });
+    return { executor, counters, produced };
+};
+
+const event = {
+    meta: {
+        id: 'b4a6b4a6-0000-11e9-8000-000000000000',
+        dt: new Date().toISOString(),
+        stream: 'limited_topic',
+        uri: 'https://en.wikipedia.org/wiki/Limited',
+        domain: 'en.wikipedia.org'
+    }
+};
+
+describe('Rate-limit policies', () => {
+    it('Should drop the rate-limited events by default', () => {
+        const { executor, counters, produced } = createExecutor();
+        return executor._exec(event, executor.rule.getHandler(0))
+        .then((res) => {
+            assert.deepEqual(res.status, 200);
+            assert.deepEqual(produced.length, 0);
+            assert.deepEqual(counters['limited_rule-limited_topic_ratelimit_drop'], 1);
+        });
+    });
+
+    it('Should send the rate-limited events to the retry stream of the rule with a delay', () => {
+        const { executor, counters, produced } = createExecutor({ policy: 'delay', delay: 30000 });
+        return executor._exec(event, executor.rule.getHandler(0))
+        .then(() => {
+            assert.deepEqual(produced.length, 1);
+            const retry = produced[0].events[0];
+            assert.deepEqual(retry.meta.stream, 'changeprop.retry.limited_topic');
+            assert.deepEqual(retry.emitter_id, executor.emitterId());
+            assert.deepEqual(retry.retries_left, executor.rule.spec.retry_limit);
+            assert.deepEqual(retry.retry_delay, 30000);
+            assert.deepEqual(retry.original_event, event);
+            assert.deepEqual(counters['limited_rule-limited_topic_ratelimit_delay'], 1);
+
+            const retryExecutor = createExecutor({ policy: 'delay', delay: 30000 }, RetryExecutor);
+            const retryEvent = Object.assign({}, retry, { retries_left: 1 });
+            return retryExecutor.executor._exec(event, executor.rule.getHandler(0),
+                undefined, retryEvent)
+            .then(() => {
+                assert.deepEqual(retryExecutor.produced[0].events[0].retries_left, 1);
+                assert.deepEqual(retryExecutor.produced[0].events[0].retry_delay, 30000);
+            });
+        });
+    });
+
+    it('Should retry the rate-limited events without spending a retry', () => {
+        const { executor, counters, produced } = createExecutor('retry');
+        return executor._exec(event, executor.rule.getHandler(0))
+        .then(() => {
+            const retry = produced[0].events[0];
+            assert.deepEqual(retry.meta.stream, 'changeprop.retry.limited_topic');
+            assert.deepEqual(retry.retries_left, executor.rule.spec.retry_limit);
+            assert.deepEqual(retry.error_status, 429);
+            assert.deepEqual(retry.original_event, event);
+            assert.deepEqual(counters['limited_rule-limited_topic_ratelimit_retry'], 1);
+
+            const retryExecutor = createExecutor('retry', RetryExecutor);
+            const retryEvent = Object.assign({}, retry, { retries_left: 1 });
+            return retryExecutor.executor._exec(event, executor.rule.getHandler(0),
+                undefined, retryEvent)
+            .then(() => {
+                assert.deepEqual(retryExecutor.produced[0].events[0].retries_left, 1);
+            });
+        });
+    });
+
+    it('Should not increment the limiters by the costs of 0', () => {
+        const posted = [];
+        const { executor } = executorUtils.createExecutor('costly_rule', {
+            topic: 'limited_topic',
+            limiters: { blacklist: '{{message.meta.uri}}' },
+            limiter_costs: { blacklist: '{{message.cost}}' },
+            exec: { uri: 'http://mock.com' }
+        }, {
+            hyper: {
+                post: (req) => {
+                    posted.push(req.body.weight);
+                    return P.resolve({ status: 201 });
+                }
+            }
+        });
+        const expander = cost => ({ message: Object.assign({ cost }, event), match: {} });
+        return P.each([ 0, -1, 2.4 ], cost => executor._updateLimiters(expander(cost), 200, {}))
+        .then(() => assert.deepEqual(posted, [ 3 ]));
+    });
+
+    it('Should reject unknown policies', () => {
+        assert.throws(() => createExecutor('ignore'), /Invalid on_rate_limit policy ignore/);
+    });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const HTTPError = require('hyperswitch').HTTPError;
+const RetryBudget = require('../../lib/retry_budget');
+const executorUtils = require('../utils/executor');
+
+const createMetrics = executorUtils.createMetrics;
+
+const createExecutor = (ruleName, retryBudget, options) => {
+    const counters = {};
+    const produced = [];
+    const spec = {
+        topic: 'budget_topic',
+        retry_budget: retryBudget,
+        exec: { uri: 'http://mock.com' }
+    };
+    options = Object.assign({ test_mode: true }, options);
+    const metrics = createMetrics(counters);
+    const { executor } = executorUtils.createExecutor(ruleName, spec, {
+        hyper: {
+            metrics,
+            post: (req) => {
+                produced.push(req.body);
+                return P.resolve({ status: 201 });
+            }
+        },
+        options,
+        shared: {
+            retryBudget: RetryBudget.forRule(ruleName, spec, options, metrics)
+        }
+    });
+    return { executor, counters, produced };
+};
+
+const event = {
+    meta: {
+        stream: 'budget_topic',
+        uri: 'https://en.wikipedia.org/wiki/Budget',
+        domain: 'en.wikipedia.org'
+    }
+};
+
+const fail = (executor) => {
+    const e = new HTTPError({ status: 503, body: {} });
+    return executor._catch(event, executor._constructRetryMessage(event, e), e);
+};
+
+describe('Retry budget', () => {
+    it('Should allow the retries up to the ratio of the first attempts', () => {
+        const counters = {};
+        const budget = new RetryBudget('ratio_rule', { ratio: 0.5, min_retries: 1 },
+            createMetrics(counters));
+        assert.deepEqual(budget.acquire(), true);
+        assert.deepEqual(budget.acquire(), false);
+        [ 1, 2, 3, 4 ].forEach(() => budget.recordAttempt());
+        assert.deepEqual(budget.acquire(), true);
+        assert.deepEqual(budget.acquire(), false);
+        assert.deepEqual(budget.describe(), {
+            attempts: 4,
+            retries: 2,
+            ratio: 0.5,
+            exhausted: true,
+            rejected_retries: 2
+        });
+        assert.deepEqual(counters.ratio_rule_retry_budget_exhausted, 2);
+    });
+
+    it('Should forget the retries out of the window', () => {
+        const budget = new RetryBudget('window_rule', { window: 100, min_retries: 1 },
+            createMetrics({}));
+        assert.deepEqual(budget.acquire(), true);
+        assert.deepEqual(budget.acquire(), false);
+        return P.delay(150)
+        .then(() => assert.deepEqual(budget.acquire(), true));
+    });
+
+    it('Should report the failures once the budget is exhausted', () => {
+        const { executor, produced } = createExecutor('fail_budget_rule', { min_retries: 1 });
+        return fail(executor)
+        .then(() => fail(executor))
+        .then(() => {
+            assert.deepEqual(produced[0].events[0].meta.stream, 'changeprop.retry.budget_topic');
+            assert.deepEqual(produced[1][0].meta.stream, 'changeprop.error');
+            return executor.status();
+        })
+        .then((status) => {
+            assert.deepEqual(status.retry_budget.exhausted, true);
+            assert.deepEqual(status.retry_budget.rejected_retries, 1);
+        });
+    });
+
+    it('Should delay the retries once the budget is exhausted if configured', () => {
+        const { executor, produced } = createExecutor('delay_budget_rule', {
+            min_retries: 1,
+            on_exhausted: 'delay',
+            delay: 3600000
+        }, { delay_topics: {} });
+        return fail(executor)
+        .then(() => fail(executor))
+        .then(() => {
+            assert.deepEqual(produced[0][0].event.retry_delay, 60000);
+            assert.deepEqual(produced[1][0].event.retry_delay, 3600000);
+            assert.deepEqual(produced[1][0].meta.stream, 'changeprop.delay.3600');
+        });
+    });
+
+    it('Should only count the first attempts sending the exec requests', () => {
+        const spec = {
+            topic: 'budget_topic',
+            retry_budget: {},
+            exec: { uri: 'http://mock.com' }
+        };
+        const metrics = createMetrics({});
+        const retryBudget = RetryBudget.forRule('attempts_rule', spec, {}, metrics);
+        const dedupedEvent = Object.assign({}, event, {
+            meta: Object.assign({}, event.meta, { uri: 'https://en.wikipedia.org/wiki/Deduped' })
+        });
+        const { executor } = executorUtils.createExecutor('attempts_rule', spec, {
+            hyper: {
+                metrics,
+                // The dedupe module reports the duplicates
+                post: req => P.resolve({ status: 200, body: req.body.meta.uri === dedupedEvent.meta.uri }),
+                request: () => P.resolve({ status: 200 })
+            },
+            shared: { retryBudget }
+        });
+        const handler = executor.rule.getHandler(0);
+        return executor.processMessage(dedupedEvent, handler)
+        .then(() => assert.deepEqual(retryBudget.describe().attempts, 0))
+        .then(() => executor.processMessage(event, handler))
+        .then(() => assert.deepEqual(retryBudget.describe().attempts, 1));
+    });
+
+    it('Should require the delay topics to delay the retries', () => {
+        assert.throws(() => createExecutor('no_delay_topics_rule', { on_exhausted: 'delay' }),
+            /requires delay_topics/);
+    });
+
+    it('Should only be enabled by the rule or the module options', () => {
+        const metrics = createMetrics({});
+        assert.deepEqual(RetryBudget.forRule('disabled_rule', {}, {}, metrics), undefined);
+        assert.deepEqual(RetryBudget.forRule('disabled_rule', { retry_budget: false },
+            { retry_budget: true }, metrics), undefined);
+        assert.ok(RetryBudget.forRule('enabled_rule', {}, { retry_budget: true }, metrics));
+    });
+});
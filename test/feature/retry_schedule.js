@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const executorUtils = require('../utils/executor');
+
+const createExecutor = () => executorUtils.createExecutor('scheduled_rule', {
+    topic: 'scheduled_topic',
+    retry_delay: 1000,
+    retry_factor: 2,
+    retry_limit: 3,
+    retry_schedule: {
+        '5xx': { delay: 100, factor: 10, max_delay: 5000, retry_after: true },
+        503: { delay: 500, factor: 3 },
+        429: { delay: 1000, retry_after: true },
+        '4xx': { delay: 2000, jitter: true }
+    },
+    exec: { uri: 'http://mock.com' }
+}).executor;
+
+const event = {
+    meta: {
+        dt: new Date().toISOString(),
+        stream: 'scheduled_topic',
+        uri: 'https://en.wikipedia.org/wiki/Scheduled',
+        domain: 'en.wikipedia.org'
+    }
+};
+
+const retryDelay = (executor, error, retriesLeft) =>
+    executor._constructRetryMessage(event, error, retriesLeft).retry_delay;
+
+describe('Retry schedules', () => {
+    it('Should follow the schedule of the status', () => {
+        const executor = createExecutor();
+        // No schedule for the redirects, so the rule retry_delay and retry_factor are used
+        assert.deepEqual(retryDelay(executor, { status: 301 }), 1000);
+        assert.deepEqual(retryDelay(executor, { status: 301 }, 1), 4000);
+
+        assert.deepEqual(retryDelay(executor, { status: 500 }), 100);
+        assert.deepEqual(retryDelay(executor, { status: 500 }, 2), 1000);
+        // Capped by the max_delay
+        assert.deepEqual(retryDelay(executor, { status: 500 }, 1), 5000);
+
+        // The exact status takes precedence over the class
+        assert.deepEqual(retryDelay(executor, { status: 503 }, 2), 1500);
+
+        for (let i = 0; i < 20; i++) {
+            const delay = retryDelay(executor, { status: 404 });
+            assert.ok(delay >= 0 && delay < 2000, `Unexpected jittered delay ${delay}`);
+        }
+    });
+
+    it('Should honor the Retry-After header if configured', () => {
+        const executor = createExecutor();
+        assert.deepEqual(retryDelay(executor, {
+            status: 502,
+            headers: { 'retry-after': '3' }
+        }), 3000);
+        assert.deepEqual(retryDelay(executor, {
+            status: 502,
+            headers: { 'retry-after': '3600' }
+        }), 5000);
+        const dateDelay = retryDelay(executor, {
+            status: 502,
+            headers: { 'retry-after': new Date(Date.now() + 4000).toUTCString() }
+        });
+        assert.ok(dateDelay > 2000 && dateDelay <= 4000, `Unexpected delay ${dateDelay}`);
+        assert.deepEqual(retryDelay(executor, {
+            status: 502,
+            headers: { 'retry-after': 'soon' }
+        }), 100);
+
+        // Capped by default without the max_delay
+        assert.deepEqual(retryDelay(executor, {
+            status: 429,
+            headers: { 'retry-after': '86400' }
+        }), 600000);
+
+        // Not honored by the 503 schedule
+        assert.deepEqual(retryDelay(executor, {
+            status: 503,
+            headers: { 'retry-after': '3' }
+        }), 500);
+    });
+});
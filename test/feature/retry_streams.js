@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+const RuleExecutor = require('../../lib/rule_executor');
+const RetryExecutor = require('../../lib/retry_executor');
+const executorUtils = require('../utils/executor');
+
+const createExecutor = (Executor, retryStream, options) =>
+    executorUtils.createExecutor('retried_rule', {
+        topics: [ 'first_topic', 'second_topic' ],
+        retry_stream: retryStream,
+        exec: { uri: 'http://mock.com' }
+    }, {
+        Executor,
+        kafkaFactory: { consumeDC: 'test_dc' },
+        options: Object.assign({ test_mode: true }, options)
+    }).executor;
+
+const event = {
+    meta: {
+        stream: 'first_topic',
+        uri: 'https://en.wikipedia.org/wiki/Retried',
+        domain: 'en.wikipedia.org'
+    }
+};
+
+describe('Retry streams', () => {
+    it('Should share the retry streams by default', () => {
+        const executor = createExecutor(RuleExecutor);
+        assert.deepEqual(executor._constructRetryMessage(event, { status: 500 }).meta.stream,
+            'changeprop.retry.first_topic');
+        assert.deepEqual(createExecutor(RetryExecutor).subscribeTopics, [
+            'test_dc.changeprop.retry.first_topic',
+            'test_dc.changeprop.retry.second_topic'
+        ]);
+    });
+
+    it('Should use the retry streams dedicated to the rule', () => {
+        const executor = createExecutor(RuleExecutor, undefined, { retry_stream: 'dedicated' });
+        assert.deepEqual(executor._constructRetryMessage(event, { status: 500 }).meta.stream,
+            'changeprop.retry_rule.retried_rule.first_topic');
+        assert.deepEqual(createExecutor(RetryExecutor, 'dedicated').subscribeTopics, [
+            'test_dc.changeprop.retry_rule.retried_rule.first_topic',
+            'test_dc.changeprop.retry_rule.retried_rule.second_topic'
+        ]);
+    });
+
+    it('Should consume both retry streams while migrating', () => {
+        const executor = createExecutor(RuleExecutor, 'migrating');
+        assert.deepEqual(executor._constructRetryMessage(event, { status: 500 }).meta.stream,
+            'changeprop.retry_rule.retried_rule.first_topic');
+        assert.deepEqual(createExecutor(RetryExecutor, 'migrating').subscribeTopics, [
+            'test_dc.changeprop.retry_rule.retried_rule.first_topic',
+            'test_dc.changeprop.retry_rule.retried_rule.second_topic',
+            'test_dc.changeprop.retry.first_topic',
+            'test_dc.changeprop.retry.second_topic'
+        ]);
+    });
+
+    it('Should reject unknown modes', () => {
+        assert.throws(() => createExecutor(RuleExecutor, 'private'), /Invalid retry_stream private/);
+    });
+});
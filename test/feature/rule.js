@@ -222,4 +222,45 @@ describe('Rule', function () {
 
     });
 
+    describe('Limiter costs', function () {
+
+        const expander = { message: { cost: '2.5', meta: {} }, match: {} };
+        const stats = { duration: 250, size: 2048 };
+
+        it('computes the costs', function () {
+            const r = new Rule('rule', {
+                topic: 'nono',
+                exec: { uri: 'a/b/c' },
+                limiters: { a: 'a', b: 'b', c: 'c', d: 'd', e: 'e' },
+                limiter_costs: {
+                    a: 3,
+                    b: '{{message.cost}}',
+                    c: { type: 'duration', unit: 100 },
+                    d: { type: 'size', unit: 1024 }
+                }
+            });
+            assert.deepEqual(r.getLimiterCost('a', expander, stats), 3);
+            assert.deepEqual(r.getLimiterCost('b', expander, stats), 2.5);
+            assert.deepEqual(r.getLimiterCost('c', expander, stats), 2.5);
+            assert.deepEqual(r.getLimiterCost('d', expander, stats), 2);
+            assert.deepEqual(r.getLimiterCost('e', expander, stats), null);
+        });
+
+        it('checks the costs', function () {
+            assert.throws(() => new Rule('rule', {
+                topic: 'nono',
+                exec: { uri: 'a/b/c' },
+                limiters: { a: 'a' },
+                limiter_costs: { b: 1 }
+            }), /unknown limiter b/);
+            assert.throws(() => new Rule('rule', {
+                topic: 'nono',
+                exec: { uri: 'a/b/c' },
+                limiters: { a: 'a' },
+                limiter_costs: { a: { type: 'weight' } }
+            }), /Invalid cost type weight/);
+        });
+
+    });
+
 });
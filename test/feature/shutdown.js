@@ -0,0 +1,56 @@
+'use strict';
+
+const ChangeProp = require('../utils/changeProp');
+const nock = require('nock');
+const assert = require('assert');
+const common = require('../utils/common');
+const P = require('bluebird');
+
+describe('Shutdown', function () {
+    this.timeout(20000);
+
+    const changeProp = new ChangeProp('config.test.yaml');
+
+    let kafkaFactory;
+
+    before(function () {
+        // Setting up might take some time, so increase the timeout
+        this.timeout(50000);
+        return changeProp.start()
+        .then(() => {
+            kafkaFactory = common.getKafkaFactory();
+        });
+    });
+
+    after(() => changeProp.stop());
+
+    it('Should commit the messages in flight before stopping', () => {
+        let requested;
+        const requestStarted = new P(resolve => (requested = resolve));
+        const service = nock('http://mock.com')
+        .post('/shutdown', () => {
+            requested();
+            return true;
+        })
+        .delay(1000)
+        .reply(200, {});
+
+        return kafkaFactory.createProducer({ log: console.log.bind(console) })
+        .then(producer => producer.produce('test_dc.shutdown_rule', 0,
+            Buffer.from(JSON.stringify(common.eventWithStream('shutdown_rule')))))
+        .then(() => requestStarted)
+        .then(() => changeProp.stop())
+        .then(() => {
+            assert.ok(service.isDone());
+            return kafkaFactory.createConsumer('changeprop-shutdown_rule',
+                [ 'test_dc.shutdown_rule' ]);
+        })
+        .then(consumer => consumer.committedAsync([ {
+            topic: 'test_dc.shutdown_rule',
+            partition: 0
+        } ], 10000)
+        .tap(() => consumer.disconnect()))
+        .then(committed => assert.deepEqual(committed[0].offset, 1))
+        .finally(() => nock.cleanAll());
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Spool = require('../../lib/spool');
+const common = require('../utils/common');
+
+describe('Spool', () => {
+    const logger = { log: () => {} };
+    const metrics = {
+        gauges: {},
+        increment: () => {},
+        gauge(name, value) {
+            this.gauges[name] = value;
+        }
+    };
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changeprop-spool-'));
+    });
+
+    afterEach(() => common.removeDir(tmpDir));
+
+    const event = (idx) => ({
+        topic: 'test_dc.spool_topic',
+        partition: null,
+        message: Buffer.from(`{"idx":${idx}}`),
+        key: null,
+        headers: [ { 'x-request-id': `${idx}` } ]
+    });
+
+    it('Should produce spooled events in order', () => {
+        const spool = new Spool({ path: tmpDir }, logger, metrics);
+        const produced = [];
+        let failNext = true;
+        const producer = {
+            produce(topic, partition, message, key, timestamp, opaque, headers) {
+                const idx = JSON.parse(message.toString()).idx;
+                if (idx === 1 && failNext) {
+                    failNext = false;
+                    return P.reject(new Error('Broker is down'));
+                }
+                produced.push([ idx, headers[0]['x-request-id'] ]);
+                return P.resolve();
+            }
+        };
+        return spool.setup()
+        .then(() => spool.append([ event(0), event(1) ]))
+        .then(() => spool.drain(producer))
+        .then(() => {
+            assert.deepEqual(produced, [ [ 0, '0' ] ]);
+            assert.deepEqual(spool.size, 1);
+            return spool.append([ event(2) ]);
+        })
+        .then(() => {
+            spool.reportMetrics();
+            assert.deepEqual(metrics.gauges.spool_size, 2);
+            assert.ok(metrics.gauges.spool_age >= 0);
+            return spool.drain(producer);
+        })
+        .then(() => {
+            assert.deepEqual(produced, [ [ 0, '0' ], [ 1, '1' ], [ 2, '2' ] ]);
+            assert.deepEqual(spool.size, 0);
+        });
+    });
+
+    it('Should drop events when the spool is full', () => {
+        const spool = new Spool({ path: tmpDir, max_size: 250 }, logger, metrics);
+        return spool.setup()
+        .then(() => spool.append([ event(0) ]))
+        .then((spooled) => {
+            assert.deepEqual(spooled, true);
+            return spool.append([ event(1), event(2) ]);
+        })
+        .then((spooled) => {
+            assert.deepEqual(spooled, false);
+            assert.deepEqual(spool.size, 1);
+        });
+    });
+
+    it('Should take over the spools of stopped processes', () => {
+        // PIDs are never this large, so the process is surely not running
+        fs.writeFileSync(path.join(tmpDir, 'spool-99999999.ndjson'),
+            `${JSON.stringify({ spooled_at: Date.now(), topic: 'test_dc.spool_topic', message: '{}' })}\n`);
+        // Left over by a process stopped in the middle of a takeover
+        fs.writeFileSync(path.join(tmpDir, 'claimed-99999998-spool-99999997.ndjson'),
+            `${JSON.stringify({ spooled_at: Date.now(), topic: 'test_dc.spool_topic', message: '{}' })}\n`);
+        const spool = new Spool({ path: tmpDir }, logger, metrics);
+        return spool.setup()
+        .then(() => {
+            assert.deepEqual(spool.size, 2);
+            assert.deepEqual(fs.readdirSync(tmpDir), [ `spool-${process.pid}.ndjson` ]);
+        });
+    });
+});
@@ -6,6 +6,7 @@ const Ajv = require('ajv');
 const assert = require('assert');
 const common = require('../utils/common');
 const P = require('bluebird');
+const preq = require('preq');
 
 process.env.UV_THREADPOOL_SIZE = 128;
 
@@ -154,7 +155,7 @@ describe('Basic rule management', function () {
         .then((retryConsumer) => {
             setTimeout(() => producer.produce('test_dc.simple_test_rule', 0,
                 Buffer.from(JSON.stringify(common.eventWithMessageAndRandom('test', random)))), 2000);
-            return common.fetchEventValidator('change-prop/retry', '1.0.0')
+            return common.fetchEventValidator('change-prop/retry', '1.1.0')
             .then((validate) => {
                 function check() {
                     return retryConsumer.consumeAsync(1)
@@ -362,5 +363,236 @@ describe('Basic rule management', function () {
         .finally(() => nock.cleanAll());
     });
 
+    it('Should produce message keys and headers', () => {
+        const event = common.eventWithStream('header_rule');
+        const service = nock('http://mock.com')
+        .post('/headers', {
+            trace_id: 'test_trace',
+            request_id: 'test_request'
+        }).reply(200, {});
+
+        return preq.post({
+            uri: 'http://localhost:7272/sys/queue/events',
+            headers: {
+                'content-type': 'application/json',
+                'x-request-id': 'test_request'
+            },
+            body: {
+                events: [ event ],
+                keys: { header_rule: '{{message.meta.uri}}' },
+                headers: { trace_id: 'test_trace' }
+            }
+        })
+        .then((res) => {
+            assert.deepEqual(res.status, 201);
+            return common.checkAPIDone(service);
+        })
+        .finally(() => nock.cleanAll());
+    });
+
+    it('Should report per-event delivery results', () => {
+        const service = nock('http://mock.com')
+        .post('/headers').times(2).reply(200, {});
+
+        return preq.post({
+            uri: 'http://localhost:7272/sys/queue/events',
+            headers: { 'content-type': 'application/json' },
+            body: {
+                events: [
+                    common.eventWithStream('header_rule'),
+                    common.eventWithStream('header_rule')
+                ]
+            }
+        })
+        .then((res) => {
+            assert.deepEqual(res.status, 201);
+            assert.deepEqual(res.body.items.length, 2);
+            res.body.items.forEach((item) => {
+                assert.deepEqual(item.status, 201);
+                assert.deepEqual(item.topic, 'test_dc.header_rule');
+                assert.ok(item.offset >= 0);
+            });
+            assert.ok(res.body.items[1].offset > res.body.items[0].offset);
+            return common.checkAPIDone(service);
+        })
+        .finally(() => nock.cleanAll());
+    });
+
+    it('Should report the events failed to be produced', () => {
+        const service = nock('http://mock.com')
+        .post('/headers').reply(200, {});
+
+        return preq.post({
+            uri: 'http://localhost:7272/sys/queue/events',
+            headers: { 'content-type': 'application/json' },
+            body: [
+                common.eventWithStream('header_rule'),
+                // Not a legal Kafka topic name
+                common.eventWithStream('invalid stream!')
+            ]
+        })
+        .then((res) => {
+            assert.deepEqual(res.status, 207);
+            assert.deepEqual(res.body.items.length, 2);
+            assert.deepEqual(res.body.items[0].status, 201);
+            assert.deepEqual(res.body.items[0].topic, 'test_dc.header_rule');
+            assert.ok(res.body.items[0].offset >= 0);
+            assert.deepEqual(res.body.items[1].status, 500);
+            assert.deepEqual(res.body.items[1].topic, 'test_dc.invalid stream!');
+            assert.ok(res.body.items[1].error);
+            return common.checkAPIDone(service);
+        })
+        .finally(() => nock.cleanAll());
+    });
+
+    it('Should list and describe subscriptions', () => {
+        return preq.get({ uri: 'http://localhost:7272/sys/queue/subscriptions' })
+        .then((res) => {
+            assert.deepEqual(res.status, 200);
+            assert.ok(res.body.items.some(item => item.name === 'array_rule'));
+            return preq.get({ uri: 'http://localhost:7272/sys/queue/subscriptions/simple_test_rule' });
+        })
+        .then((res) => {
+            assert.deepEqual(res.body.consumer_group, 'changeprop-simple_test_rule');
+            assert.deepEqual(res.body.topics, [
+                'test_dc.simple_test_rule',
+                'test_dc.changeprop.retry.simple_test_rule'
+            ]);
+            assert.deepEqual(res.body.spec.topic, '/^simple_test_rule$/');
+            return preq.get({ uri: 'http://localhost:7272/sys/queue/subscriptions/not_a_rule' })
+            .then(() => {
+                throw new Error('Error must be thrown');
+            }, (e) => {
+                assert.deepEqual(e.status, 404);
+            });
+        });
+    });
+
+    it('Should report the consumer status', () => {
+        return preq.get({ uri: 'http://localhost:7272/sys/queue/status' })
+        .then((res) => {
+            assert.deepEqual(res.status, 200);
+            const status = res.body.items.find(item =>
+                item.rule === 'array_rule' && item.executor === 'RuleExecutor');
+            assert.deepEqual(status.consumer_group, 'changeprop-array_rule');
+            assert.deepEqual(status.concurrency, 1);
+            assert.deepEqual(status.pending_messages, 0);
+            assert.ok(status.last_consumed);
+            const partition = status.partitions.find(partition =>
+                partition.topic === 'test_dc.simple_test_rule2');
+            assert.deepEqual(partition.lag, 0);
+        });
+    });
+
+    it('Should pause and resume a subscription', () => {
+        const service = nock('http://mock2.org')
+        .post('/', { topic: 'simple_test_rule2' }).reply(200, {});
+
+        return preq.post({ uri: 'http://localhost:7272/sys/queue/subscriptions/array_rule/pause' })
+        .then((res) => {
+            assert.deepEqual(res.body.paused, true);
+            assert.deepEqual(res.body.worker.pid, process.pid);
+            return producer.produce('test_dc.simple_test_rule2',
+                0,
+                Buffer.from(JSON.stringify(common.eventWithStream('simple_test_rule2'))));
+        })
+        .then(() => common.checkPendingMocks(service, 1))
+        .then(() => preq.post({ uri: 'http://localhost:7272/sys/queue/subscriptions/array_rule/resume' }))
+        .then(() => common.checkAPIDone(service))
+        .finally(() => nock.cleanAll());
+    });
+
+    it('Should replay a rule over a time range', () => {
+        const event = common.eventWithProperties('simple_test_rule2', { message: 'replayed' });
+        const service = nock('http://mock2.org')
+        .post('/', { topic: 'simple_test_rule2' }).reply(200, {});
+        const start = new Date(Date.now() - 1).toISOString();
+        let end;
+
+        return producer.produce('test_dc.simple_test_rule2', 0, Buffer.from(JSON.stringify(event)))
+        .then(() => common.checkAPIDone(service))
+        .then(() => {
+            end = new Date(Date.now() + 1).toISOString();
+            nock('http://mock2.org')
+            .post('/', { topic: 'simple_test_rule2' }).reply(200, {});
+            return preq.post({
+                uri: 'http://localhost:7272/sys/queue/subscriptions/array_rule/replay',
+                headers: { 'content-type': 'application/json' },
+                body: { start, end }
+            });
+        })
+        .then((res) => {
+            assert.deepEqual(res.status, 202);
+            const checkFinished = () => preq.get({
+                uri: `http://localhost:7272/sys/queue/replays/${res.body.id}`
+            })
+            .then((res) => {
+                if (res.body.state !== 'finished') {
+                    return P.delay(500).then(checkFinished);
+                }
+                return res.body;
+            });
+            return checkFinished();
+        })
+        .then((replay) => {
+            assert.deepEqual(replay.consumed, 1);
+            assert.deepEqual(replay.matched, 1);
+            assert.ok(nock.isDone());
+        })
+        .finally(() => nock.cleanAll());
+    });
+
+    it('Should send exhausted retries to the dead-letter topic and re-inject them', () => {
+        const event = common.eventWithStream('dead_letter_rule');
+        const start = new Date(Date.now() - 1).toISOString();
+        const service = nock('http://mock.com')
+        .post('/dead_letter').times(2).reply(500, {});
+        let reinjectedService;
+
+        return producer.produce('test_dc.dead_letter_rule', 0, Buffer.from(JSON.stringify(event)))
+        .then(() => common.checkAPIDone(service))
+        // Give the dead-letter event some time to be produced
+        .delay(500)
+        .then(() => {
+            // Re-injected as a retry of the rule rather than into the shared topic
+            reinjectedService = nock('http://mock.com')
+            .post('/dead_letter', { uri: event.meta.uri })
+            .matchHeader('x-triggered-by',
+                /changeprop\.dead_letter\.dead_letter_rule:[^,]+,changeprop\.retry\.dead_letter_rule:[^,]+$/)
+            .reply(200, {});
+            return preq.post({
+                uri: 'http://localhost:7272/sys/queue/subscriptions/dead_letter_rule/dead_letter/reinject',
+                headers: { 'content-type': 'application/json' },
+                body: { start, status: [ 500, 503 ], domain: 'en.wikipedia.org' }
+            });
+        })
+        .then((res) => {
+            assert.deepEqual(res.status, 202);
+            const checkFinished = () => preq.get({
+                uri: `http://localhost:7272/sys/queue/replays/${res.body.id}`
+            })
+            .then((res) => {
+                if (res.body.state !== 'finished') {
+                    return P.delay(500).then(checkFinished);
+                }
+                return res.body;
+            });
+            return checkFinished();
+        })
+        .then((reinjection) => {
+            assert.deepEqual(reinjection.matched, 1);
+            assert.deepEqual(reinjection.reinjected, 1);
+            return common.checkAPIDone(reinjectedService);
+        })
+        .finally(() => nock.cleanAll());
+    });
+
+    it('Should forget the stopped replays after the retention', () => {
+        // The replays of the previous tests stopped, and the test config retains them for a second
+        return P.delay(1000)
+        .then(() => preq.get({ uri: 'http://localhost:7272/sys/queue/replays' }))
+        .then(res => assert.deepEqual(res.body.items, []));
+    });
+
     after(() => changeProp.stop());
 });
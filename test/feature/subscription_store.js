@@ -0,0 +1,110 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangeProp = require('../utils/changeProp');
+// Sets up the Redis mock before the store requires the Redis client
+const common = require('../utils/common');
+const subscriptionStore = require('../../lib/subscription_store');
+
+const RULE_SPEC = {
+    topic: 'simple_test_rule',
+    exec: {
+        method: 'post',
+        uri: 'http://mock.com'
+    }
+};
+
+describe('Subscription store', () => {
+    const testStore = (store) => {
+        return store.save('stored_rule', RULE_SPEC)
+        .then(() => store.save('other_stored_rule', RULE_SPEC))
+        .then(() => store.load())
+        .then((rules) => {
+            assert.deepEqual(rules, {
+                stored_rule: RULE_SPEC,
+                other_stored_rule: RULE_SPEC
+            });
+            return store.remove('other_stored_rule');
+        })
+        .then(() => store.load())
+        .then((rules) => assert.deepEqual(rules, { stored_rule: RULE_SPEC }))
+        .then(() => store.remove('stored_rule'));
+    };
+
+    it('Should store rules in a file', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changeprop-'));
+        const store = subscriptionStore.create({
+            type: 'file',
+            path: path.join(dir, 'subscriptions.json')
+        });
+        return store.load()
+        .then((rules) => assert.deepEqual(rules, {}))
+        .then(() => testStore(store));
+    });
+
+    it('Should not lose the concurrent updates of the file', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changeprop-'));
+        const storePath = path.join(dir, 'subscriptions.json');
+        // Separate instances stand for the workers sharing the file
+        const stores = [ 0, 1 ].map(() => subscriptionStore.create({
+            type: 'file',
+            path: storePath
+        }));
+        const ruleNames = [ 0, 1, 2, 3, 4, 5, 6, 7 ].map(i => `concurrent_rule_${i}`);
+        return P.all(ruleNames.map((ruleName, i) => stores[i % 2].save(ruleName, RULE_SPEC)))
+        .then(() => stores[0].load())
+        .then(rules => assert.deepEqual(Object.keys(rules).sort(), ruleNames))
+        .then(() => assert.ok(!fs.existsSync(`${storePath}.lock`)));
+    });
+
+    it('Should break the stale lock of the file', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changeprop-'));
+        const storePath = path.join(dir, 'subscriptions.json');
+        const store = subscriptionStore.create({
+            type: 'file',
+            path: storePath
+        });
+        // The lock left behind by a crashed worker
+        fs.writeFileSync(`${storePath}.lock`, '');
+        const staleTime = new Date(Date.now() - 60000);
+        fs.utimesSync(`${storePath}.lock`, staleTime, staleTime);
+        return testStore(store);
+    });
+
+    it('Should reject unknown store types', () => {
+        assert.throws(() => subscriptionStore.create({ type: 'mysql' }), /Unknown subscription store/);
+    });
+
+    describe('Redis', function () {
+        this.timeout(20000);
+
+        // The Redis client of the store is closed on the service lifecycle events
+        const changeProp = new ChangeProp('config.test.yaml');
+
+        before(function () {
+            // Setting up might take some time, so increase the timeout
+            this.timeout(50000);
+            return changeProp.start();
+        });
+
+        after(() => changeProp.stop());
+
+        it('Should store rules in Redis', () => {
+            const store = subscriptionStore.create({
+                type: 'redis',
+                redis: {
+                    host: 'localhost',
+                    port: 6379
+                },
+                redis_prefix: `CP_test_${common.randomString()}`
+            }, { log: () => {} });
+            return store.load()
+            .then((rules) => assert.deepEqual(rules, {}))
+            .then(() => testStore(store));
+        });
+    });
+});
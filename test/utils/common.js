@@ -9,6 +9,8 @@ const preq         = require('preq');
 const yaml         = require('js-yaml');
 const Ajv          = require('ajv');
 const mockRequire  = require('mock-require');
+const fs           = require('fs');
+const path         = require('path');
 
 const common = {};
 
@@ -57,6 +59,19 @@ common.randomString = (len = 5) => {
     return text;
 };
 
+// fs.rmdirSync only removes the directories recursively since Node 12
+common.removeDir = (dir) => {
+    fs.readdirSync(dir).forEach((file) => {
+        const filePath = path.join(dir, file);
+        if (fs.lstatSync(filePath).isDirectory()) {
+            common.removeDir(filePath);
+        } else {
+            fs.unlinkSync(filePath);
+        }
+    });
+    fs.rmdirSync(dir);
+};
+
 common.arrayWithLinks = function (link, num) {
     const result = [];
     for (let idx = 0; idx < num; idx++) {
@@ -112,6 +127,7 @@ common.checkPendingMocks = (api, num) => {
 };
 
 const validatorCache = new Map();
+const LOCAL_SCHEMA_DIR = `${path.resolve(__dirname, '../../schemas')}/`;
 const ajv = new Ajv({
     schemaId: '$id',
     loadSchema: (uri) => preq.get({ uri })
@@ -139,7 +155,8 @@ common.fetchEventValidator = (schemaUri, version = 1) => {
         const { DEV_BASE_URI } = process.env;
         const defaultURI = 'https://raw.githubusercontent.com/wikimedia/mediawiki-event-schemas/master/jsonschema/';
 
-        const options = DEV_BASE_URI ? { schemaBaseUris: [DEV_BASE_URI] } : { schemaBaseUris: [defaultURI] };
+        // The schemas checked in locally take precedence over the published ones
+        const options = { schemaBaseUris: [ LOCAL_SCHEMA_DIR, DEV_BASE_URI || defaultURI ] };
 
         return getSchemaById(schemaPath, options)
         .then((res) => ajv.compileAsync(res))
@@ -148,6 +165,14 @@ common.fetchEventValidator = (schemaUri, version = 1) => {
             return validator;
         });
     } catch (e) {
+        if (fs.existsSync(`${LOCAL_SCHEMA_DIR}${schemaPath}`)) {
+            return ajv.compileAsync(yaml.safeLoad(
+                fs.readFileSync(`${LOCAL_SCHEMA_DIR}${schemaPath}`, 'utf8')))
+            .then((validator) => {
+                validatorCache.set(schemaPath, validator);
+                return validator;
+            });
+        }
         return preq.get({
             uri: `https://raw.githubusercontent.com/wikimedia/mediawiki-event-schemas/master/jsonschema/${schemaPath}`
         })
@@ -0,0 +1,66 @@
+'use strict';
+
+const Rule = require('../../lib/rule');
+const RuleExecutor = require('../../lib/rule_executor');
+
+const executorUtils = {};
+
+executorUtils.logger = {
+    log: () => {},
+    child: () => executorUtils.logger
+};
+
+/**
+ * Creates a metrics reporter recording the counters and the gauges reported.
+ *
+ * @param {Object} [counters] the object to count the increments in
+ * @param {Object} [gauges] the object to record the latest gauge values in
+ * @return {Object}
+ */
+executorUtils.createMetrics = (counters = {}, gauges = {}) => ({
+    normalizeName: name => name,
+    increment: (name) => {
+        counters[name] = (counters[name] || 0) + 1;
+    },
+    endTiming: () => {},
+    gauge: (name, value) => {
+        gauges[name] = value;
+    }
+});
+
+/**
+ * Creates an executor of a rule with a mock request dispatcher. The executor is not
+ * subscribed, so the tests drive its methods directly.
+ *
+ * @param {string} ruleName the name of the rule
+ * @param {Object} spec the rule specification
+ * @param {Object} [params]
+ * @param {Function} [params.Executor] the executor class, RuleExecutor by default
+ * @param {Object} [params.hyper] the request methods of the dispatcher, like post
+ * @param {Object} [params.kafkaFactory] the kafka factory, an empty object by default
+ * @param {Object} [params.options] the module options, the test mode by default
+ * @param {Object} [params.shared] the state shared by the executors of the rule
+ * @param {Object} [params.consumer] the mock consumer to connect the executor to
+ * @return {Object} the executor along with the metrics counters and gauges reported
+ */
+executorUtils.createExecutor = (ruleName, spec, params = {}) => {
+    const counters = {};
+    const gauges = {};
+    const hyper = Object.assign({
+        logger: executorUtils.logger,
+        config: { service_name: 'changeprop' },
+        metrics: executorUtils.createMetrics(counters, gauges)
+    }, params.hyper);
+    const Executor = params.Executor || RuleExecutor;
+    const executor = new Executor(new Rule(ruleName, spec), params.kafkaFactory || {}, hyper,
+        params.options || { test_mode: true }, params.shared);
+    // The self check would keep mocha running after the tests
+    clearInterval(executor._selfCheck);
+    if (params.consumer) {
+        executor._connected = true;
+        executor.consumer = params.consumer;
+    }
+    return { executor, counters, gauges };
+};
+
+module.exports = executorUtils;
@@ -20,26 +20,38 @@ class MockProducer {
     constructor(messages) {
         this._messages = messages;
     }
-    produce(topic, partition, message) {
+    produce(topic, partition, message, key, timestamp, opaque, headers) {
+        if (!/^[a-zA-Z0-9._-]+$/.test(topic)) {
+            return P.reject(new Error(`Broker: Invalid topic ${topic}`));
+        }
         if (!this._messages.has(topic)) {
             this._messages.set(topic, []);
         }
         this._messages.get(topic).push({
             topic,
             partition,
-            value: message
+            value: message,
+            key,
+            headers,
+            timestamp: Date.now()
+        });
+        return P.resolve({
+            topic,
+            partition: 0,
+            offset: this._messages.get(topic).length - 1
         });
-        return P.resolve();
     }
     disconnect() {}
 }
 
 class MockConsumer extends EventEmitter {
-    constructor(messages, topics = []) {
+    constructor(messages, topics = [], committedOffsets = new Map()) {
         super();
         this._topics = topics;
         this._messages = messages;
-        this._currentTopicOffsets = new Map();
+        this._committedOffsets = committedOffsets;
+        this._currentTopicOffsets = new Map(committedOffsets);
+        this._pausedTopics = new Set();
     }
     _getCurrentOffset(topic) {
         if (this._currentTopicOffsets.has(topic)) {
@@ -52,7 +64,7 @@ class MockConsumer extends EventEmitter {
 
     consumeAsync() {
         for (const topic of this._topics) {
-            if (this._messages.has(topic)) {
+            if (this._messages.has(topic) && !this._pausedTopics.has(topic)) {
                 const topicMessages = this._messages.get(topic);
                 const currentTopicOffset = this._getCurrentOffset(topic);
                 if (topicMessages.length > currentTopicOffset) {
@@ -60,7 +72,7 @@ class MockConsumer extends EventEmitter {
                     return P.resolve([
                         Object.assign(
                             topicMessages[currentTopicOffset],
-                            { offset: currentTopicOffset }
+                            { offset: currentTopicOffset, partition: 0 }
                         )
                     ]);
                 }
@@ -68,14 +80,68 @@ class MockConsumer extends EventEmitter {
         }
         return P.resolve([]);
     }
-    commitMessageAsync() {
+    commitMessageAsync(message) {
+        this._committedOffsets.set(message.topic, message.offset + 1);
         return P.resolve();
     }
+    assignments() {
+        return this._topics.map(topic => ({ topic, partition: 0 }));
+    }
+    committedAsync(toppars) {
+        return P.resolve(toppars.map(toppar => Object.assign({
+            offset: this._committedOffsets.has(toppar.topic) ?
+                this._committedOffsets.get(toppar.topic) : -1001
+        }, toppar)));
+    }
+    getMetadataAsync(options) {
+        return P.resolve({
+            topics: [ { name: options.topic, partitions: [ { id: 0 } ] } ]
+        });
+    }
+    offsetsForTimesAsync(toppars) {
+        return P.resolve(toppars.map((toppar) => {
+            const topicMessages = this._messages.get(toppar.topic) || [];
+            return Object.assign({}, toppar, {
+                offset: topicMessages.findIndex(message => message.timestamp >= toppar.offset)
+            });
+        }));
+    }
+    assign(toppars) {
+        this._topics = toppars.map(toppar => toppar.topic);
+        toppars.forEach(toppar => this._currentTopicOffsets.set(toppar.topic, toppar.offset));
+    }
+    pause(toppars) {
+        toppars.forEach(toppar => this._pausedTopics.add(toppar.topic));
+    }
+    resume(toppars) {
+        toppars.forEach(toppar => this._pausedTopics.delete(toppar.topic));
+    }
+    queryWatermarkOffsetsAsync(topic) {
+        return P.resolve({
+            lowOffset: 0,
+            highOffset: this._messages.has(topic) ? this._messages.get(topic).length : 0
+        });
+    }
 }
 
 class MockKafkaFactory {
     constructor() {
         this._messages = new Map();
+        // Committed offsets of the consumer groups, so that a restarted group
+        // resumes where it stopped
+        this._groupOffsets = new Map();
+    }
+
+    /**
+     * Returns the offset committed by a consumer group for a topic
+     *
+     * @param {string} groupId Consumer group ID
+     * @param {string} topic the topic name
+     * @return {number|undefined}
+     */
+    committedOffset(groupId, topic) {
+        return this._groupOffsets.has(groupId) ?
+            this._groupOffsets.get(groupId).get(topic) : undefined;
     }
 
     /**
@@ -106,7 +172,15 @@ class MockKafkaFactory {
      * @return {Object} kafka consumer
      */
     createConsumer(groupId, topics) {
-        return P.resolve(new MockConsumer(this._messages, topics));
+        if (!this._groupOffsets.has(groupId)) {
+            this._groupOffsets.set(groupId, new Map());
+        }
+        return P.resolve(new MockConsumer(this._messages, topics,
+            this._groupOffsets.get(groupId)));
+    }
+
+    createAssignableConsumer() {
+        return P.resolve(new MockConsumer(this._messages));
     }
 
     createMetadataWatch() {